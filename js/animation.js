@@ -0,0 +1,205 @@
+/* Animation.js
+ * Sprites coming alive. A sprite sheet is an image cut into frames of
+ * the same size (left to right, row by row) or a sequence of images - one
+ * frame each. A plain image is a sheet of just one frame.
+ *
+ * An animation plays the named clips of its sheet (e.g. idle, walk, hop,
+ * death): every clip is a sequence of frames shown at its own frame rate,
+ * either looped or played once (it stops at its last frame then). A frame
+ * of a clip is the index of the frame within the sheet - or the frame
+ * moved, squashed (or stretched) and faded, so even a single image could
+ * walk, hop or die (see Animation.frame).
+ *
+ * The animation only keeps the time (see update) - its entity chooses
+ * the clip to play and where (and whether mirrored) to draw it.
+ */
+
+/**
+ * Frames of a sprite sheet
+ * @constructor
+ * @param {Image|Array.<Image>} image - the sheet (or a sequence of images -
+ *     each one a frame)
+ * @param {number} frameWidth - width of a frame of the sheet (the width of
+ *     the image if omitted)
+ * @param {number} frameHeight - height of a frame of the sheet (the height
+ *     of the image if omitted)
+ */
+var SpriteSheet = function(image, frameWidth, frameHeight) {
+  // @private - the images the frames are cut from
+  this.images_ = [].concat(image);
+
+  // size of a frame of the sheet (a sequence keeps the sizes of its images)
+  this.frameWidth = frameWidth || this.images_[0].width;
+  this.frameHeight = frameHeight || this.images_[0].height;
+
+  // @private - frames in a row of the sheet
+  this.columns_ = Math.max(
+      Math.floor(this.images_[0].width / this.frameWidth), 1);
+};
+
+/**
+ * @return {number} how many frames there are
+ */
+SpriteSheet.prototype.count = function() {
+  if (this.images_.length > 1) {
+    return this.images_.length;
+  }
+  var rows = Math.max(
+      Math.floor(this.images_[0].height / this.frameHeight), 1);
+  return this.columns_ * rows;
+};
+
+/**
+ * @param {number} index - index of the frame (counted round if too big)
+ * @return {{image: Image, x: number, y: number, w: number, h: number}}
+ *     the image of the frame and where the frame is within it
+ */
+SpriteSheet.prototype.frame = function(index) {
+  index %= this.count();
+
+  if (this.images_.length > 1) {
+    var image = this.images_[index];
+    return {image: image, x: 0, y: 0, w: image.width, h: image.height};
+  }
+  return {
+    image: this.images_[0],
+    x: (index % this.columns_) * this.frameWidth,
+    y: Math.floor(index / this.columns_) * this.frameHeight,
+    w: this.frameWidth,
+    h: this.frameHeight
+  };
+};
+
+/**
+ * Clips played from a sprite sheet
+ * @constructor
+ * @param {SpriteSheet} sheet - frames of the clips
+ * @param {Object.<string, {frames: Array, fps: number, loop: boolean}>}
+ *     clips - the clips by their names: the frames (see Animation.frame),
+ *     how many of them are shown per second and whether the clip is looped
+ * @param {string} name - the clip to start with (the first one if omitted)
+ */
+var Animation = function(sheet, clips, name) {
+  this.sheet = sheet;
+  this.clips = clips;
+
+  // name of the clip playing
+  this.name = null;
+
+  // @private - how long the clip has been playing (in seconds)
+  this.time_ = 0;
+
+  this.play(name || Object.keys(clips)[0]);
+};
+
+/**
+ * Frame of a clip: either the index of the frame within the sheet or
+ * {index, dx, dy, scaleX, scaleY, alpha} - the frame moved (in pixels),
+ * squashed or stretched around the middle of its bottom edge (where
+ * the feet are) and faded (anything omitted is left as it is)
+ * @param {number|Object} frame - frame of a clip
+ * @return {{index: number, dx: number, dy: number, scaleX: number,
+ *           scaleY: number, alpha: number}} the frame with nothing omitted
+ */
+Animation.frame = function(frame) {
+  if (typeof frame === 'number') {
+    frame = {index: frame};
+  }
+  return {
+    index: frame.index || 0,
+    dx: frame.dx || 0,
+    dy: frame.dy || 0,
+    scaleX: (frame.scaleX === undefined) ? 1 : frame.scaleX,
+    scaleY: (frame.scaleY === undefined) ? 1 : frame.scaleY,
+    alpha: (frame.alpha === undefined) ? 1 : frame.alpha
+  };
+};
+
+/**
+ * Play the clip - from its start unless it is playing already
+ * @param {string} name - name of the clip
+ * @param {boolean} restart - start the clip over even if it is playing
+ */
+Animation.prototype.play = function(name, restart) {
+  if (!this.clips.hasOwnProperty(name)) {
+    throw new Error('Unknown clip ' + name);
+  }
+
+  if (name !== this.name || restart) {
+    this.name = name;
+    this.time_ = 0;
+  }
+};
+
+/**
+ * Let the time pass
+ * @param {number} dt - a time delta between ticks
+ */
+Animation.prototype.update = function(dt) {
+  this.time_ += dt;
+};
+
+/**
+ * @private
+ * @return {number} how many frames of the clip have been shown so far
+ */
+Animation.prototype.shown_ = function() {
+  // a tiny bit more - so the time adding up just short of a frame counts
+  return Math.floor(this.time_ * this.clips[this.name].fps + 1e-9);
+};
+
+/**
+ * @return {boolean} - has the clip played once (and stopped)? The looped
+ *     clips never do
+ */
+Animation.prototype.isDone = function() {
+  var clip = this.clips[this.name];
+  return !clip.loop && this.shown_() >= clip.frames.length;
+};
+
+/**
+ * @return {{index: number, dx: number, dy: number, scaleX: number,
+ *           scaleY: number, alpha: number}} the frame shown now
+ *     (see Animation.frame)
+ */
+Animation.prototype.current = function() {
+  var clip = this.clips[this.name];
+  var shown = this.shown_();
+  var last = clip.frames.length - 1;
+
+  return Animation.frame(clip.frames[clip.loop ? shown % clip.frames.length :
+                                                 Math.min(shown, last)]);
+};
+
+/**
+ * Draw the frame shown now into the box given - mirrored (flipped
+ * horizontally within the box) if asked for
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ * @param {number} x - x-value of the box
+ * @param {number} y - y-value of the box
+ * @param {number} w - width of the box
+ * @param {number} h - height of the box
+ * @param {boolean} mirrored - is the frame drawn mirrored?
+ */
+Animation.prototype.draw = function(ctx, x, y, w, h, mirrored) {
+  var frame = this.current();
+  var source = this.sheet.frame(frame.index);
+  var width = w * frame.scaleX;
+  var height = h * frame.scaleY;
+  var left = x + (w - width) / 2 + (mirrored ? -frame.dx : frame.dx);
+  var top = y + (h - height) + frame.dy;
+
+  ctx.save();
+  ctx.globalAlpha *= frame.alpha;
+  if (mirrored) {
+    ctx.scale(-1, 1);
+    ctx.drawImage(source.image, source.x, source.y, source.w, source.h,
+                  -left, top, -width, height);
+  } else {
+    ctx.drawImage(source.image, source.x, source.y, source.w, source.h,
+                  left, top, width, height);
+  }
+  ctx.restore();
+};
+
+export {SpriteSheet, Animation};
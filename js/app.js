@@ -1,3 +1,17 @@
+/* App.js
+ * The entities of the game: enemies, obstacles, platforms floating down
+ * the river, bonuses, the player and
+ * the critters shown on top of the board (texts, timer and HUD).
+ * Entities never reach for anything global - whatever they need to know
+ * about the game they are part of comes with the world (see world.js)
+ * passed to update, and they draw onto the context passed to render.
+ * The world keeps updating and drawing an entity as long as it is alive.
+ */
+import * as Resources from './resources.js';
+import {Effect} from './effects.js';
+import * as Shapes from './shapes.js';
+import {SpriteSheet, Animation} from './animation.js';
+
 /**
  * Generic Enemy (more like Entity but keeping the original name)
  * - it can render itself,
@@ -6,20 +20,30 @@
  * @constructor
  * @param {number} x - initial x position of the enemy
  * @param {number} y - initial y position of the enemy
- * @param {string} filename - sprite to use
+ * @param {string} filename - sprite to use (null for the entities drawing
+ *     themselves without one)
+ * @param {Object} clips - clips the sprite plays (see Animation) - those of
+ *     the bugs (Enemy.clips) if omitted
  */
-var Enemy = function(x, y, filename) {
+var Enemy = function(x, y, filename, clips) {
   // x and y are top-left corner of the sprite
-  // default to (100, 100) if no values are given
-  this.x = x || 100;
-  this.y = y || 100;
+  // default to (100, 100) if no values are given (0 is a value - the left
+  // or the top edge of the screen)
+  this.x = (x === undefined) ? 100 : x;
+  this.y = (y === undefined) ? 100 : y;
 
   // The image/sprite to render
-  this.sprite = Resources.get(filename || 'images/enemy-bug.png');
+  this.sprite = (filename === null) ? null :
+      Resources.get(filename || 'images/enemy-bug.png');
 
   // width and height - for rendering purposes
-  this.w = this.sprite.width;
-  this.h = this.sprite.height;
+  this.w = this.sprite ? this.sprite.width : 0;
+  this.h = this.sprite ? this.sprite.height : 0;
+
+  // the sprite coming alive (see animation.js) - the enemy chooses
+  // the clip to play (see clip)
+  this.animation = this.sprite ? new Animation(new SpriteSheet(this.sprite),
+                                               clips || Enemy.clips) : null;
 
   // tight bounding box - used for collision detecting
   this.rectBounds = {
@@ -29,20 +53,70 @@ var Enemy = function(x, y, filename) {
     bottom: this.h - 26
   };
 
+  // the true shape of the bug (within the bounding box) - used by
+  // the precise collisions (see touches)
+  this.hitbox = [
+    Shapes.polygon([[2, 102], [13, 87], [34, 78], [61, 78], [89, 89],
+                    [98, 103], [95, 121], [59, 144], [21, 140], [7, 130]])
+  ];
+
   // screen bounds - used differently by each enemy type
   // some would bounce off or wrap around, etc
-  this.screenBounds = {
-    x: 0,
-    y: 52,
-    width: canvas.width,
-    height: canvas.height - 20
-  };
+  // (the world fits them to its board, see World.prototype.place)
+  this.setScreen(Enemy.SCREEN_WIDTH, Enemy.SCREEN_HEIGHT);
 
   // default enemy speed
   this.speed = 222;
 
   // @private - collision flag (used for player/enemy intersection)
   this.hit_ = false;
+
+  // @private - active status effects (see effects.js)
+  this.effects_ = [];
+
+  // solid things standing in the way (see Enemy.prototype.move)
+  this.obstacles = [];
+
+  // passing enemies (the traffic of the lanes, see traffic.js) leave
+  // the screen for good rather than wrap around or bounce off its edges
+  this.passing = false;
+
+  // the enemy never goes faster than this - the traffic ahead of it may
+  // hold it back (see Lane.prototype.keepGaps_)
+  this.speedLimit = Infinity;
+};
+
+/**
+ * Size of the screen entities assume until they are placed into a world
+ */
+Enemy.SCREEN_WIDTH = 505;
+Enemy.SCREEN_HEIGHT = 606;
+
+/**
+ * Clips of the bugs (and of anything else which does not bring its own):
+ * standing still or waddling along
+ */
+Enemy.clips = {
+  idle: {frames: [0], fps: 1, loop: true},
+  walk: {
+    frames: [0, {dy: -2, scaleY: 1.03}, 0, {dy: -1, scaleY: 0.97}],
+    fps: 8,
+    loop: true
+  }
+};
+
+/**
+ * Fit the screen bounds to the screen of the given size
+ * @param {number} width - width of the screen
+ * @param {number} height - height of the screen
+ */
+Enemy.prototype.setScreen = function(width, height) {
+  this.screenBounds = {
+    x: 0,
+    y: 52,
+    width: width,
+    height: height - 20
+  };
 };
 
 /**
@@ -56,14 +130,227 @@ Enemy.rectsIntersect = function(a, b) {
            a.bottom < b.top || b.bottom < a.top);
 };
 
+/**
+ * a and b are rectangles (AABBs)
+ * @param {{left: number, top: number, right: number, bottom: number}} a
+ * @param {{left: number, top: number, right: number, bottom: number}} b
+ * @return {boolean} if they overlap (just touching does not count)
+ */
+Enemy.rectsOverlap = function(a, b) {
+  return a.right > b.left && b.right > a.left &&
+         a.bottom > b.top && b.bottom > a.top;
+};
+
 /**
  * Update the enemy's position, required method for game
  * @param {number} dt - a time delta between ticks
+ * @param {World} world - the world the enemy lives in
  */
-Enemy.prototype.update = function(dt) {
+Enemy.prototype.update = function(dt, world) {
   // default enemy does not do much
 };
 
+/**
+ * @return {boolean} - is the enemy still alive? (most of them always are,
+ *     the passing ones are gone once they leave the screen)
+ */
+Enemy.prototype.isAlive = function() {
+  return !this.passing || !this.hasLeftScreen();
+};
+
+/**
+ * @return {boolean} - is the enemy past either side edge of the screen?
+ */
+Enemy.prototype.hasLeftScreen = function() {
+  return this.x + this.rectBounds.left > this.screenBounds.width ||
+         this.x + this.rectBounds.right < this.screenBounds.x;
+};
+
+/**
+ * @return {number} how low the enemy stands on the screen (the bottom of
+ *     its bounding box) - the lower ones are drawn on top of the rest
+ */
+Enemy.prototype.depth = function() {
+  return this.y + this.rectBounds.bottom;
+};
+
+/**
+ * Apply a status effect - or re-apply it (according to its stacking rule)
+ * if the effect is already active
+ * @param {string} type - one of Effect.types
+ * @param {number} duration - how long the effect lasts (default if omitted)
+ */
+Enemy.prototype.addEffect = function(type, duration) {
+  var active = this.effect(type);
+  if (active) {
+    active.reapply(duration);
+  } else {
+    this.effects_.push(new Effect(type, duration));
+  }
+};
+
+/**
+ * @param {string} type - one of Effect.types
+ * @return {Effect} active effect of the given type (if any)
+ */
+Enemy.prototype.effect = function(type) {
+  var found = this.effects_.filter(function(effect) {
+    return effect.type === type;
+  });
+  return found.length ? found[0] : null;
+};
+
+/**
+ * @return {Array.<Effect>} all the active effects
+ */
+Enemy.prototype.effects = function() {
+  return this.effects_;
+};
+
+/**
+ * @param {string} flag - name of the flag (e.g. 'invulnerable')
+ * @return {boolean} - is the flag raised by any of the active effects?
+ */
+Enemy.prototype.hasFlag = function(flag) {
+  return this.effects_.some(function(effect) {
+    return effect.flag(flag);
+  });
+};
+
+/**
+ * @param {string} name - name of the modifier (e.g. 'speed')
+ * @return {number} combined multiplier of all the active effects
+ */
+Enemy.prototype.modifier = function(name) {
+  return this.effects_.reduce(function(value, effect) {
+    return value * effect.modifier(name);
+  }, 1);
+};
+
+/**
+ * Count down the active effects and drop the expired ones
+ * @param {number} dt - a time delta between ticks
+ */
+Enemy.prototype.updateEffects = function(dt) {
+  this.effects_ = this.effects_.filter(function(effect) {
+    effect.update(dt);
+    return effect.isAlive();
+  });
+};
+
+/**
+ * @return {string} the clip which should be playing now (one of the clips
+ *     of the animation) - most of the enemies stand still
+ */
+Enemy.prototype.clip = function() {
+  return 'idle';
+};
+
+/**
+ * Play the clip the enemy chooses and let its time pass
+ * @param {number} dt - a time delta between ticks
+ */
+Enemy.prototype.updateAnimation = function(dt) {
+  if (this.animation) {
+    this.animation.play(this.clip());
+    this.animation.update(dt);
+  }
+};
+
+/**
+ * @return {number} the speed with all the effects (and the speed limit)
+ *     taken into account
+ */
+Enemy.prototype.currentSpeed = function() {
+  return Math.min(this.speed * this.modifier('speed'), this.speedLimit);
+};
+
+/**
+ * Bounding box used for collisions - rectBounds shrunk (or grown) around
+ * its center according to the 'size' modifier of the active effects
+ * @return {{left: number, top: number, right: number, bottom: number}}
+ */
+Enemy.prototype.collisionBounds = function() {
+  var size = this.modifier('size');
+  var r = this.rectBounds;
+  if (size === 1) {
+    return r;
+  }
+
+  var dx = (r.right - r.left) * (1 - size) / 2;
+  var dy = (r.bottom - r.top) * (1 - size) / 2;
+  return {
+    left: r.left + dx,
+    top: r.top + dy,
+    right: r.right - dx,
+    bottom: r.bottom - dy
+  };
+};
+
+/**
+ * Move by the given displacement, one axis at a time, pushing the enemy
+ * back out of any obstacle it runs into. Since the axes are resolved
+ * separately, diagonal movement along an obstacle slides along its edge.
+ * @param {number} dx - horizontal displacement
+ * @param {number} dy - vertical displacement
+ * @return {{x: boolean, y: boolean}} - which axes were blocked
+ */
+Enemy.prototype.move = function(dx, dy) {
+  var blocked = {x: false, y: false};
+
+  if (dx) {
+    this.x += dx;
+    blocked.x = this.pushOut('x', dx);
+  }
+  if (dy) {
+    this.y += dy;
+    blocked.y = this.pushOut('y', dy);
+  }
+  return blocked;
+};
+
+/**
+ * Push the enemy out of the obstacles it overlaps - back against
+ * the direction it was moving along the axis
+ * @param {string} axis - either 'x' or 'y'
+ * @param {number} delta - the displacement along the axis just made
+ * @return {boolean} - was any obstacle hit?
+ */
+Enemy.prototype.pushOut = function(axis, delta) {
+  var hit = false;
+
+  for (var i = 0, l = this.obstacles.length; i < l; i++) {
+    var own = this.solidBox();
+    var other = this.obstacles[i].solidBox();
+
+    if (Enemy.rectsOverlap(own, other)) {
+      hit = true;
+      if (axis === 'x') {
+        this.x -= (delta > 0) ? own.right - other.left :
+                                own.left - other.right;
+      } else {
+        this.y -= (delta > 0) ? own.bottom - other.top :
+                                own.top - other.bottom;
+      }
+    }
+  }
+  return hit;
+};
+
+/**
+ * The part of the enemy that can not pass through obstacles
+ * (unlike the bounding boxes it is not affected by status effects)
+ * @return {{left: number, top: number, right: number, bottom: number}}
+ */
+Enemy.prototype.solidBox = function() {
+  return {
+    left: this.x + this.rectBounds.left,
+    top: this.y + this.rectBounds.top,
+    right: this.x + this.rectBounds.right,
+    bottom: this.y + this.rectBounds.bottom
+  };
+};
+
 /**
  * Mark enemy as 'hit'
  */
@@ -87,21 +374,31 @@ Enemy.prototype.isHit = function() {
 
 /**
  * @param {Enemy} other - check bounding boxes intersection
- * Mark both self and other as hit if at least one pair of boxes intersect.
+ * @return {boolean} - does at least one pair of boxes intersect?
  */
-Enemy.prototype.collide = function(other) {
+Enemy.prototype.intersects = function(other) {
   var otherRects = other.boundingBoxes();
   var ownRects = this.boundingBoxes();
 
   for (var i = 0, l = ownRects.length; i < l; i++) {
     for (var j = 0, ol = otherRects.length; j < ol; j++) {
       if (Enemy.rectsIntersect(ownRects[i], otherRects[j])) {
-        this.hit();
-        other.hit();
-        return;
+        return true;
       }
     }
   }
+  return false;
+};
+
+/**
+ * @param {Enemy} other - check bounding boxes intersection
+ * Mark both self and other as hit if at least one pair of boxes intersect.
+ */
+Enemy.prototype.collide = function(other) {
+  if (this.intersects(other)) {
+    this.hit();
+    other.hit();
+  }
 };
 
 /**
@@ -110,19 +407,86 @@ Enemy.prototype.collide = function(other) {
  * @return {{left: number, top: number, right: number, bottom: number}}
  */
 Enemy.prototype.boundingBoxes = function() {
+  var bounds = this.collisionBounds();
   return [{
-    left: this.x + this.rectBounds.left,
-    top: this.y + this.rectBounds.top,
-    right: this.x + this.rectBounds.right,
-    bottom: this.y + this.rectBounds.bottom
+    left: this.x + bounds.left,
+    top: this.y + bounds.top,
+    right: this.x + bounds.right,
+    bottom: this.y + bounds.bottom
   }];
 };
 
 /**
- * Debug-render - draw bbox(es) of the enemy if it is hit
+ * @return {boolean} - is the sprite drawn mirrored?
+ */
+Enemy.prototype.isMirrored = function() {
+  return false;
+};
+
+/**
+ * Returns the hitbox shapes of the enemy placed onto the screen - moved,
+ * mirrored along with the sprite and shrunk (or grown) just like
+ * the bounding boxes. Subclasses may add more as needed
+ * @return {Array.<Object>} shapes (see shapes.js) - null if the enemy
+ *     has no hitbox (the bounding boxes are its true shape)
+ */
+Enemy.prototype.hitShapes = function() {
+  if (!this.hitbox) {
+    return null;
+  }
+
+  var r = this.rectBounds;
+  var mirror = this.isMirrored() ? this.w : 0;
+  var cx = (r.left + r.right) / 2;
+  var placement = {
+    x: this.x,
+    y: this.y,
+    mirror: mirror,
+    scale: this.modifier('size'),
+    cx: mirror ? mirror - cx : cx,
+    cy: (r.top + r.bottom) / 2
+  };
+
+  return this.hitbox.map(function(shape) {
+    return Shapes.place(shape, placement);
+  });
+};
+
+/**
+ * Precise collision test: the bounding boxes must intersect and so must
+ * the true shapes (the bounding boxes stand in for the enemy without
+ * a hitbox)
+ * @param {Enemy} other - check the shapes intersection
+ * @return {boolean} - does at least one pair of shapes intersect?
+ */
+Enemy.prototype.touches = function(other) {
+  if (!this.intersects(other)) {
+    return false;
+  }
+
+  var ownShapes = this.hitShapes();
+  var otherShapes = other.hitShapes();
+  if (!ownShapes && !otherShapes) {
+    return true;
+  }
+
+  ownShapes = ownShapes || this.boundingBoxes().map(Shapes.box);
+  otherShapes = otherShapes || other.boundingBoxes().map(Shapes.box);
+  return ownShapes.some(function(own) {
+    return otherShapes.some(function(shape) {
+      return Shapes.intersect(own, shape);
+    });
+  });
+};
+
+/**
+ * Debug-render - draw bbox(es) of the enemy (red if it is hit)
+ * along with its true shape (if it has a hitbox)
+ * @param {CanvasRenderingContext2D} ctx - where to draw
  */
-Enemy.prototype.debugRender = function() {
+Enemy.prototype.debugRender = function(ctx) {
   var prevStrokeStyle = ctx.strokeStyle;
+  var prevLineWidth = ctx.lineWidth;
   ctx.strokeStyle = this.isHit() ? 'red' : 'green';
 
   var boxes = this.boundingBoxes();
@@ -134,14 +498,65 @@ Enemy.prototype.debugRender = function() {
                    box.right - box.left,
                    box.bottom - box.top);
   }
+
+  var shapes = this.hitShapes();
+  if (shapes) {
+    ctx.strokeStyle = this.isHit() ? 'orange' : 'yellow';
+    ctx.lineWidth = 2;
+    shapes.forEach(function(shape) {
+      Shapes.draw(ctx, shape);
+    });
+  }
+
+  ctx.lineWidth = prevLineWidth;
   ctx.strokeStyle = prevStrokeStyle;
 };
 
 /**
- * Draw an enemy on the screen, required method for game
+ * Remember the current position - the one of the previous simulation step
+ * by the time the enemy is rendered
+ */
+Enemy.prototype.savePosition = function() {
+  this.prevX = this.x;
+  this.prevY = this.y;
+};
+
+/**
+ * Render the enemy in between the previous and the current simulation step.
+ * Jumps (e.g. wrapping around the screen) are not smoothed.
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ * @param {number} alpha - how far in between (0 - previous, 1 - current)
+ */
+Enemy.prototype.renderInterpolated = function(ctx, alpha) {
+  var x = this.x;
+  var y = this.y;
+
+  if (this.prevX !== undefined &&
+      Math.abs(x - this.prevX) < Enemy.MAX_INTERPOLATION &&
+      Math.abs(y - this.prevY) < Enemy.MAX_INTERPOLATION) {
+    this.x = this.prevX + (x - this.prevX) * alpha;
+    this.y = this.prevY + (y - this.prevY) * alpha;
+  }
+
+  this.render(ctx);
+
+  this.x = x;
+  this.y = y;
+};
+
+/**
+ * Longest distance (per step) smoothed by the interpolation
  */
-Enemy.prototype.render = function() {
-  ctx.drawImage(this.sprite, this.x, this.y, this.w, this.h);
+Enemy.MAX_INTERPOLATION = 50;
+
+/**
+ * Draw an enemy on the screen, required method for game - the frame of
+ * the animation shown now (mirrored if the enemy is)
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ */
+Enemy.prototype.render = function(ctx) {
+  this.animation.draw(ctx, this.x, this.y, this.w, this.h,
+                      this.isMirrored());
 };
 
 /**
@@ -151,6 +566,10 @@ Enemy.prototype.render = function() {
  */
 var WrappingEnemy = function() {
   Enemy.apply(this, arguments);
+
+  // direction of the movement - this enemy may go either way
+  // but never changes the direction on its own
+  this.goingRight = true;
 };
 
 WrappingEnemy.prototype = Object.create(Enemy.prototype);
@@ -158,16 +577,42 @@ WrappingEnemy.prototype.constructor = WrappingEnemy;
 
 /**
  * Move to the edge of the screen and start from the other side
+ * (unless passing by)
  * @param {number} dt - a time delta between ticks
  */
 WrappingEnemy.prototype.update = function(dt) {
-  // move to the right with current speed
-  this.x += Math.floor(this.speed * dt);
+  var displacement = this.currentSpeed() * dt;
+
+  if (this.goingRight) {
+    // move to the right with current speed
+    this.x += displacement;
+
+    // re-enter from the left if moved past the right edge of the screen
+    if (this.x > this.screenBounds.width && !this.passing) {
+      this.x = 0;
+    }
+  } else {
+    // move to the left with current speed
+    this.x -= displacement;
+
+    // re-enter from the right once the left edge of the screen is crossed
+    // (the part past the right edge is drawn at the left, see render)
+    if (this.x < 0 && !this.passing) {
+      this.x += this.screenBounds.width;
+    }
+  }
+};
 
-  // re-enter from the left if moved past the right edge of the screen
-  if (this.x > this.screenBounds.width) {
-    this.x = 0;
+/**
+ * @return {number} how much of the enemy is past the right edge of
+ *     the screen - and so shown at the left edge (nothing is wrapped
+ *     around for the passing enemies)
+ */
+WrappingEnemy.prototype.wrappedPart = function() {
+  if (this.passing) {
+    return 0;
   }
+  return (this.x + this.rectBounds.right) - this.screenBounds.width;
 };
 
 /**
@@ -178,39 +623,71 @@ WrappingEnemy.prototype.update = function(dt) {
  */
 WrappingEnemy.prototype.boundingBoxes = function() {
   var boxes = Enemy.prototype.boundingBoxes.call(this);
+  var bounds = this.collisionBounds();
 
   // calculate the invisible part of the enemy (if any)
-  var wrapped = (this.x + this.rectBounds.right) - this.screenBounds.width;
+  var wrapped = this.passing ? 0 :
+      (this.x + bounds.right) - this.screenBounds.width;
 
   if (wrapped > 0) {
     boxes.push({
       left: 0,
-      top: this.y + this.rectBounds.top,
+      top: this.y + bounds.top,
       right: wrapped,
-      bottom: this.y + this.rectBounds.bottom
+      bottom: this.y + bounds.bottom
     });
   }
   return boxes;
 };
 
 /**
- * Default render + the wrapped part
+ * Default hitbox + its copy at the left edge when the enemy 'wraps' around
+ * @return {Array.<Object>} shapes (see shapes.js)
+ */
+WrappingEnemy.prototype.hitShapes = function() {
+  var shapes = Enemy.prototype.hitShapes.call(this);
+  var width = this.screenBounds.width;
+
+  if (shapes && this.wrappedPart() > 0) {
+    this.x -= width;
+    shapes = shapes.concat(Enemy.prototype.hitShapes.call(this));
+    this.x += width;
+  }
+  return shapes;
+};
+
+/**
+ * The image is mirrored when moving to the left
+ * @return {boolean}
  */
-WrappingEnemy.prototype.render = function() {
-  // check if some part of the sprite is past the right edge of the screen
-  var wrappedPart = (this.x + this.rectBounds.right) - this.screenBounds.width;
+WrappingEnemy.prototype.isMirrored = function() {
+  return !this.goingRight;
+};
+
+/**
+ * Wrapping enemies never stop
+ * @return {string}
+ */
+WrappingEnemy.prototype.clip = function() {
+  return 'walk';
+};
 
-  // if it is - draw that part at the left edge
-  if (wrappedPart > 0) {
-    ctx.drawImage(this.sprite,
-                  this.screenBounds.width - this.x, 0,
-                  wrappedPart, this.sprite.height,
-                  0, this.y,
-                  wrappedPart, this.sprite.height);
+/**
+ * Default render + the wrapped part
+ * (the image is mirrored when moving to the left)
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ */
+WrappingEnemy.prototype.render = function(ctx) {
+  // if some part of the sprite is past the right edge of the screen
+  // draw it at the left edge - the whole frame is drawn shifted by
+  // the width of the screen (the rest of it is off the screen), so it
+  // is the same part of the same frame (mirrored or not)
+  if (this.wrappedPart() > 0) {
+    this.animation.draw(ctx, this.x - this.screenBounds.width, this.y,
+                        this.w, this.h, this.isMirrored());
   }
 
-  // call 'super' for the rest of rending to take care of itself
-  Enemy.prototype.render.call(this);
+  Enemy.prototype.render.call(this, ctx);
 };
 
 /**
@@ -230,42 +707,54 @@ BouncingEnemy.prototype = Object.create(Enemy.prototype);
 BouncingEnemy.prototype.constructor = BouncingEnemy;
 
 /**
- * Change direction when any edge of the screen is reached
+ * Change direction when any edge of the screen or an obstacle is reached
+ * (unless passing by)
  * @param {number} dt - a time delta between ticks
  */
 BouncingEnemy.prototype.update = function(dt) {
-  var displacement = Math.floor(this.speed * dt);
+  var displacement = this.currentSpeed() * dt;
+  // the move made - the obstacles push the enemy back against it (even
+  // if the direction is flipped at an edge meanwhile)
+  var delta = this.goingRight ? displacement : -displacement;
 
-  // handle either direction:
-  // try to move and then flip the directon if an edge was reached
-  if (this.goingRight) {
-    this.x += displacement;
-    if (this.x + this.rectBounds.left > this.screenBounds.width) {
-      this.x = this.screenBounds.width;
-      this.goingRight = false;
-    }
-  } else {
-    this.x -= displacement;
-    if (this.x + this.rectBounds.right < 0) {
-      this.x = -this.rectBounds.right;
-      this.goingRight = true;
-    }
+  this.x += delta;
+
+  // the passing ones keep going their way - past the edges and the rocks
+  // (turning back would drive them into the traffic following them)
+  if (this.passing) {
+    return;
+  }
+
+  // flip the direction if an edge was reached
+  if (this.goingRight &&
+      this.x + this.rectBounds.left > this.screenBounds.width) {
+    this.x = this.screenBounds.width;
+    this.goingRight = false;
+  } else if (!this.goingRight && this.x + this.rectBounds.right < 0) {
+    this.x = -this.rectBounds.right;
+    this.goingRight = true;
+  }
+
+  // bounce off the obstacles as well - back where it came from
+  if (this.pushOut('x', delta)) {
+    this.goingRight = (delta < 0);
   }
 };
 
 /**
- * Default render, but extra twist for mirroring the image
- * when moving to the left
+ * The image is mirrored when moving to the left
+ * @return {boolean}
  */
-BouncingEnemy.prototype.render = function() {
-  if (!this.goingRight) {
-    ctx.save();
-    ctx.scale(-1, 1);
-    ctx.drawImage(this.sprite, -this.x, this.y, -this.w, this.h);
-    ctx.restore();
-  } else {
-    Enemy.prototype.render.call(this);
-  }
+BouncingEnemy.prototype.isMirrored = function() {
+  return !this.goingRight;
+};
+
+/**
+ * Bouncing enemies never stop either
+ * @return {string}
+ */
+BouncingEnemy.prototype.clip = function() {
+  return 'walk';
 };
 
 /**
@@ -299,8 +788,9 @@ WildEnemy.prototype.constructor = WildEnemy;
 /**
  * Every three frames the enemy tries to change either speed or direction
  * @param {number} dt - a time delta between ticks
+ * @param {World} world - the world the enemy lives in (its dice included)
  */
-WildEnemy.prototype.update = function(dt) {
+WildEnemy.prototype.update = function(dt, world) {
   this.time_ += dt;
 
   // change direction/speed spontaneously
@@ -311,10 +801,12 @@ WildEnemy.prototype.update = function(dt) {
     // - change direction
     // - increase speed
     // - decrease speed
-    var chance = Math.floor(Math.random() * 3);
+    var chance = world.random.int(3);
     if (chance === 0) {
-      // change direction
-      this.goingRight = !this.goingRight;
+      // change direction (the passing ones keep going their way)
+      if (!this.passing) {
+        this.goingRight = !this.goingRight;
+      }
     } else if (chance === 1) {
       // increase speed
       this.speed += this.speedChange_;
@@ -331,46 +823,333 @@ WildEnemy.prototype.update = function(dt) {
   }
 
   // let inherited logic take care of the rest
-  BouncingEnemy.prototype.update.call(this, dt);
+  BouncingEnemy.prototype.update.call(this, dt, world);
 };
 
 /**
- * Text object - zooms and slides away
+ * Rock - a static obstacle nobody can pass through
  * @constructor
- * @param {string} text - string to show
+ * @implements {Enemy}
+ * @param {number} x - x position of the rock
+ * @param {number} y - y position of the rock
  */
-var Text = function(text) {
-  // screen position
-  this.x = 0;
-  this.y = 45;
-
-  // text itself
-  this.text = text;
-
-  // current size of the font
-  this.size = 28;
-
-  // maximum size of the font
-  this.maxSize = 50;
-
-  // movement speed (when sliding)
-  this.speed = 70;
+var Rock = function(x, y) {
+  Enemy.call(this, x, y, 'images/Rock.png');
 
-  // @private - internal state:
-  // - 0 - zooming out
-  // - 1 - sliding away
-  // - 2 - dead
-  this.state_ = 0;
+  // only the base of the rock is solid - so the rows above and below
+  // stay passable
+  this.rectBounds = {
+    left: 8,
+    top: 80,
+    right: 94,
+    bottom: 135
+  };
 
-  // screen width
-  this.maxWidth = canvas.width;
+  // the solid base is a box
+  this.hitbox = null;
 };
 
+Rock.prototype = Object.create(Enemy.prototype);
+Rock.prototype.constructor = Rock;
+
 /**
- * Render the text using current size and position
+ * Platform - something floating down the river the player could ride.
+ * It wraps around the screen like a wrapping enemy, but hurts nobody and
+ * it is drawn without a sprite - as long as it is (in tiles)
+ * @constructor
+ * @implements {WrappingEnemy}
+ * @param {number} x - initial x position of the platform
+ * @param {number} y - y position of the platform (the one of the enemies
+ *     in the same row)
+ * @param {number} length - how many tiles the platform covers
  */
-Text.prototype.render = function() {
-  var prevFont = ctx.font;
+var Platform = function(x, y, length) {
+  WrappingEnemy.call(this, x, y, null);
+
+  // size of the platform - a tile (as tall as the sprites) per length
+  this.length = length || 2;
+  this.w = this.length * Platform.TILE_WIDTH;
+  this.h = Platform.HEIGHT;
+
+  // the part floating on the water - the player stands on it
+  this.rectBounds = {
+    left: 0,
+    top: 80,
+    right: this.w,
+    bottom: 140
+  };
+
+  // the platform is a box
+  this.hitbox = null;
+
+  // platforms drift slower than the bugs run
+  this.speed = 100;
+
+  // @private - how far the platform moved on the last update
+  this.drift_ = 0;
+};
+
+Platform.prototype = Object.create(WrappingEnemy.prototype);
+Platform.prototype.constructor = Platform;
+
+/**
+ * Width of one tile of the platform
+ */
+Platform.TILE_WIDTH = 101;
+
+/**
+ * Height of the platform - the same as of the sprites
+ */
+Platform.HEIGHT = 171;
+
+/**
+ * Float along the river - the way the wrapping enemies move
+ * @param {number} dt - a time delta between ticks
+ */
+Platform.prototype.update = function(dt) {
+  var displacement = this.currentSpeed() * dt;
+
+  WrappingEnemy.prototype.update.call(this, dt);
+  this.drift_ = this.goingRight ? displacement : -displacement;
+};
+
+/**
+ * @return {number} how far the platform moved on the last update (wrapping
+ *     around the screen does not count) - the rider moves as far
+ */
+Platform.prototype.drift = function() {
+  return this.drift_;
+};
+
+/**
+ * @return {boolean} - is the platform under the water (no one to ride)?
+ */
+Platform.prototype.isSubmerged = function() {
+  return false;
+};
+
+/**
+ * The player rides the platform if their middle is above it
+ * @param {Player} player - the player to carry
+ * @return {boolean} - does the platform carry the player?
+ */
+Platform.prototype.carries = function(player) {
+  if (this.isSubmerged()) {
+    return false;
+  }
+
+  var b = player.rectBounds;
+  var x = player.x + (b.left + b.right) / 2;
+  var y = player.y + (b.top + b.bottom) / 2;
+
+  return this.boundingBoxes().some(function(box) {
+    return x >= box.left && x <= box.right &&
+           y >= box.top && y <= box.bottom;
+  });
+};
+
+/**
+ * Draw the platform - and its part wrapped around to the left edge
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ */
+Platform.prototype.render = function(ctx) {
+  this.draw(ctx, this.x);
+
+  if (this.x + this.w > this.screenBounds.width) {
+    this.draw(ctx, this.x - this.screenBounds.width);
+  }
+};
+
+/**
+ * Draw the platform at the given x-value - up to the subclasses
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ * @param {number} x - x-value to draw at
+ */
+Platform.prototype.draw = function(ctx, x) {
+};
+
+/**
+ * Log - a platform floating there all the time
+ * @constructor
+ * @implements {Platform}
+ */
+var Log = function() {
+  Platform.apply(this, arguments);
+};
+
+Log.prototype = Object.create(Platform.prototype);
+Log.prototype.constructor = Log;
+
+/**
+ * A brown trunk with the rings showing at its ends
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ * @param {number} x - x-value to draw at
+ */
+Log.prototype.draw = function(ctx, x) {
+  var top = this.y + this.rectBounds.top;
+  var radius = (this.rectBounds.bottom - this.rectBounds.top) / 2;
+  var middle = top + radius;
+
+  ctx.save();
+  ctx.fillStyle = '#7a4a21';
+  ctx.fillRect(x + radius, top, this.w - 2 * radius, 2 * radius);
+  ctx.beginPath();
+  ctx.arc(x + radius, middle, radius, 0, 2 * Math.PI);
+  ctx.fill();
+
+  ctx.fillStyle = '#c89b63';
+  ctx.beginPath();
+  ctx.arc(x + this.w - radius, middle, radius, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.strokeStyle = '#7a4a21';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(x + this.w - radius, middle, radius / 2, 0, 2 * Math.PI);
+  ctx.stroke();
+  ctx.restore();
+};
+
+/**
+ * Turtles - a row of turtles diving every now and then: they sink for
+ * a while and come up again - the player riding them drowns once they are
+ * under the water
+ * @constructor
+ * @implements {Platform}
+ * @param {number} x - initial x position of the turtles
+ * @param {number} y - y position of the turtles
+ * @param {number} length - how many turtles there are
+ * @param {number} phase - how far (in seconds) into the diving cycle
+ *     the turtles are at the start (see Turtles.cycle)
+ */
+var Turtles = function(x, y, length, phase) {
+  Platform.call(this, x, y, length);
+
+  // @private - time within the diving cycle
+  this.time_ = phase || 0;
+};
+
+Turtles.prototype = Object.create(Platform.prototype);
+Turtles.prototype.constructor = Turtles;
+
+/**
+ * Diving cycle of the turtles - how long (in seconds) they stay up,
+ * go down, stay under the water and come up again
+ */
+Turtles.cycle = {
+  up: 3,
+  sinking: 0.6,
+  under: 1.5,
+  rising: 0.6
+};
+
+/**
+ * Float along and dive
+ * @param {number} dt - a time delta between ticks
+ */
+Turtles.prototype.update = function(dt) {
+  var c = Turtles.cycle;
+
+  this.time_ = (this.time_ + dt) % (c.up + c.sinking + c.under + c.rising);
+  Platform.prototype.update.call(this, dt);
+};
+
+/**
+ * @return {number} how deep the turtles are - from 0 (up) to 1 (under)
+ */
+Turtles.prototype.submersion = function() {
+  var c = Turtles.cycle;
+  var t = this.time_ - c.up;
+
+  if (t < 0) {
+    return 0;
+  }
+  if (t < c.sinking) {
+    return t / c.sinking;
+  }
+  t -= c.sinking;
+  if (t < c.under) {
+    return 1;
+  }
+  return 1 - (t - c.under) / c.rising;
+};
+
+/**
+ * The turtles carry nobody once they are fully under the water
+ * @return {boolean}
+ */
+Turtles.prototype.isSubmerged = function() {
+  return this.submersion() === 1;
+};
+
+/**
+ * Green shells with the heads facing the way the turtles swim - fading
+ * away as they go down
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ * @param {number} x - x-value to draw at
+ */
+Turtles.prototype.draw = function(ctx, x) {
+  var r = this.rectBounds;
+  var middle = this.y + (r.top + r.bottom) / 2;
+  var radius = (r.bottom - r.top) / 2 - 4;
+  var head = this.goingRight ? radius + 6 : -radius - 6;
+
+  ctx.save();
+  ctx.globalAlpha *= 1 - 0.8 * this.submersion();
+  for (var i = 0; i < this.length; i++) {
+    var center = x + (i + 0.5) * Platform.TILE_WIDTH;
+
+    ctx.fillStyle = '#3f7f3f';
+    ctx.beginPath();
+    ctx.arc(center + head, middle, radius / 3, 0, 2 * Math.PI);
+    ctx.fill();
+
+    ctx.fillStyle = '#1f5f2f';
+    ctx.beginPath();
+    ctx.arc(center, middle, radius, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+  ctx.restore();
+};
+
+/**
+ * Text object - zooms and slides away
+ * @constructor
+ * @param {string} text - string to show
+ * @param {number} width - width of the screen
+ */
+var Text = function(text, width) {
+  // screen position
+  this.x = 0;
+  this.y = 45;
+
+  // text itself
+  this.text = text;
+
+  // current size of the font
+  this.size = 28;
+
+  // maximum size of the font
+  this.maxSize = 50;
+
+  // movement speed (when sliding)
+  this.speed = 70;
+
+  // @private - internal state:
+  // - 0 - zooming out
+  // - 1 - sliding away
+  // - 2 - dead
+  this.state_ = 0;
+
+  // screen width
+  this.maxWidth = width || Enemy.SCREEN_WIDTH;
+};
+
+/**
+ * Render the text using current size and position
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ */
+Text.prototype.render = function(ctx) {
+  var prevFont = ctx.font;
 
   ctx.font = this.size + 'px fantasy';
   var tm = ctx.measureText(this.text);
@@ -411,11 +1190,12 @@ Text.prototype.isAlive = function() {
  * Just like Text - but is used to show multiple phrases
  * @constructor
  * @implements {Text}
- * @param {Array.<string>} - strings to display one by one
+ * @param {Array.<string>} strings - strings to display one by one
+ * @param {number} width - width of the screen
  */
-var MultiText = function(strings) {
+var MultiText = function(strings, width) {
   this.texts = strings.map(function(s) {
-    return new Text(s);
+    return new Text(s, width);
   });
 
   this.idx = (this.texts.length < 1) ? -1 : 0;
@@ -423,10 +1203,11 @@ var MultiText = function(strings) {
 
 /**
  * Render MultiText - that is render the current 'alive' text
+ * @param {CanvasRenderingContext2D} ctx - where to draw
  */
-MultiText.prototype.render = function() {
+MultiText.prototype.render = function(ctx) {
   if (this.isAlive()) {
-    this.texts[this.idx].render();
+    this.texts[this.idx].render(ctx);
   }
 };
 
@@ -460,8 +1241,10 @@ MultiText.prototype.update = function(dt) {
  * @constructor
  * @param {number} targetTime - how long until the end
  * @param {function()} fn - function to call when time is up
+ * @param {function()} warn - function to call once the time is almost up
+ *     (see redZone) - optional
  */
-var Chronos = function(targetTime, fn) {
+var Chronos = function(targetTime, fn, warn) {
   // @private - current time in seconds
   this.time_ = 0;
 
@@ -470,12 +1253,16 @@ var Chronos = function(targetTime, fn) {
 
   // @private - hook to call
   this.fn_ = fn;
+
+  // @private - hook to call once in the red zone (if any)
+  this.warn_ = warn || null;
 };
 
 /**
  * Render time in upper-left corner
+ * @param {CanvasRenderingContext2D} ctx - where to draw
  */
-Chronos.prototype.render = function() {
+Chronos.prototype.render = function(ctx) {
   var prevFont = ctx.font;
   var prevFillStyle = ctx.fillStyle;
 
@@ -508,12 +1295,18 @@ Chronos.prototype.redZone = function() {
 /**
  * Update logic:
  * - increase passed time
+ * - warn once the time is almost up
  * - invoke callback if time has come for that
  * @param {number} dt - a time delta between ticks
  */
 Chronos.prototype.update = function(dt) {
+  var warned = this.redZone();
   this.time_ += dt;
 
+  if (this.redZone() && !warned && this.warn_) {
+    this.warn_();
+  }
+
   // call our hook function if the time has come
   if (!this.isAlive()) {
     this.fn_();
@@ -527,9 +1320,180 @@ Chronos.prototype.isAlive = function() {
   return this.time_ < this.targetTime_;
 };
 
+/**
+ * Game state - everything that has to survive the level reset:
+ * lives and score of the current run
+ * @constructor
+ * @param {number} lives - how many lives to start with
+ */
+var GameState = function(lives) {
+  this.lives = lives || GameState.LIVES;
+  this.score = 0;
+};
+
+/**
+ * Default number of lives
+ */
+GameState.LIVES = 3;
+
+/**
+ * @param {number} points - how much to add to the score
+ */
+GameState.prototype.addScore = function(points) {
+  this.score += Math.round(points);
+};
+
+/**
+ * Most lives one could have
+ */
+GameState.MAX_LIVES = 5;
+
+/**
+ * Add one life (unless there are already plenty of them)
+ */
+GameState.prototype.addLife = function() {
+  if (this.lives < GameState.MAX_LIVES) {
+    this.lives += 1;
+  }
+};
+
+/**
+ * Take one life away
+ */
+GameState.prototype.loseLife = function() {
+  if (this.lives > 0) {
+    this.lives -= 1;
+  }
+};
+
+/**
+ * @return {boolean} - is the run over (no lives left)?
+ */
+GameState.prototype.isOver = function() {
+  return this.lives < 1;
+};
+
+/**
+ * Heads-up display - shows the campaign progress next to the timer,
+ * the score and remaining lives
+ * @constructor
+ * @param {GameState} state - state of the current run
+ * @param {World} world - the world shown (its hero, screen and seed)
+ * @param {number} level - number of the current level (starting with 1)
+ * @param {number} totalLevels - how many levels are there in the campaign
+ */
+var Hud = function(state, world, level, totalLevels) {
+  this.state = state;
+  this.world = world;
+  this.level = level;
+  this.totalLevels = totalLevels;
+
+  // the heart image - one is drawn for every life left
+  this.heart = Resources.get('images/Heart.png');
+
+  // part of the heart image which is actually the heart
+  this.heartBounds = {
+    left: 7,
+    top: 48,
+    right: 95,
+    bottom: 137
+  };
+
+  // size of the hearts drawn
+  this.heartSize = 22;
+
+  // the key image - shown when the player carries one
+  this.key = Resources.get('images/Key.png');
+};
+
+/**
+ * Render level number in the upper-left corner (right of the timer),
+ * score in the middle, lives and the key (if any) in the upper-right corner
+ * and the random seed in the lower-right corner
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ */
+Hud.prototype.render = function(ctx) {
+  var prevFont = ctx.font;
+  var prevTextAlign = ctx.textAlign;
+
+  ctx.font = '20px fantasy';
+  ctx.fillText('LEVEL ' + this.level + '/' + this.totalLevels, 80, 27);
+  ctx.fillText('SCORE ' + this.state.score, 200, 27);
+
+  // the seed is needed to replay the very same game
+  ctx.font = '12px fantasy';
+  ctx.textAlign = 'right';
+  ctx.fillText('SEED ' + this.world.random.getSeed(),
+               this.world.width - 10, this.world.height - 25);
+
+  ctx.textAlign = prevTextAlign;
+  ctx.font = prevFont;
+
+  var b = this.heartBounds;
+  var x = this.world.width - 10;
+  for (var i = 0; i < this.state.lives; i++) {
+    x -= this.heartSize + 2;
+    ctx.drawImage(this.heart,
+                  b.left, b.top, b.right - b.left, b.bottom - b.top,
+                  x, 10, this.heartSize, this.heartSize);
+  }
+
+  if (this.world.player.hasKey) {
+    x -= this.heartSize;
+    ctx.drawImage(this.key, 30, 57, 43, 86, x, 6, 15, 30);
+  }
+
+  this.renderEffects(ctx);
+};
+
+/**
+ * Render icons of the active player effects with the time left
+ * along the bottom edge of the screen
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ */
+Hud.prototype.renderEffects = function(ctx) {
+  var prevFont = ctx.font;
+  var prevFillStyle = ctx.fillStyle;
+  var x = 10;
+  var y = this.world.height - 45;
+
+  ctx.font = '16px fantasy';
+  this.world.player.effects().forEach(function(effect) {
+    var def = effect.def;
+    var label = effect.timeLeft.toFixed(1);
+    if (effect.stacks > 1) {
+      label = 'x' + effect.stacks + ' ' + label;
+    }
+
+    ctx.drawImage(Resources.get(def.icon), 0, 40, 101, 110, x, y, 28, 30);
+    ctx.fillStyle = def.color;
+    ctx.fillText(label, x + 30, y + 22);
+
+    x += 40 + ctx.measureText(label).width;
+  });
+
+  ctx.fillStyle = prevFillStyle;
+  ctx.font = prevFont;
+};
+
+/**
+ * Nothing to update - HUD only reflects the state
+ * @param {number} dt - a time delta between ticks
+ */
+Hud.prototype.update = function(dt) {
+};
+
+/**
+ * @return {boolean} - HUD stays for the whole level
+ */
+Hud.prototype.isAlive = function() {
+  return true;
+};
+
 /**
  * Bonus - is a collectible item which is supposed to modify
  * the state of the entity that 'caught' it.
+ * A bonus either falls down the screen or stays still on its tile.
  * @constructor
  * @implements {Enemy}
  * @param {number} x - horizontal coordinate of the bonus
@@ -537,7 +1501,8 @@ Chronos.prototype.isAlive = function() {
  * @param {string} filename - sprite to use
  */
 var Bonus = function(x, y, filename) {
-  Enemy.call(this, x, y, filename || 'images/Star.png');
+  // bonuses bob up and down to be noticed (see Bonus.clips)
+  Enemy.call(this, x, y, filename || 'images/Star.png', Bonus.clips);
 
   // bounding box describing grabbable part of the image
   this.rectBounds = {
@@ -547,9 +1512,18 @@ var Bonus = function(x, y, filename) {
     bottom: this.h - 35
   };
 
+  // the star is round enough
+  this.hitbox = [Shapes.circle(50, 100, 35)];
+
   // vertical speed
   this.speed = 100;
 
+  // does the bonus fall down or stay on its tile?
+  this.falling = true;
+
+  // score awarded for catching the bonus
+  this.points = 50;
+
   // @private - bonus is alive until it is caught or flies off the screen
   this.alive_ = true;
 };
@@ -557,43 +1531,43 @@ var Bonus = function(x, y, filename) {
 Bonus.prototype = Object.create(Enemy.prototype);
 Bonus.prototype.constructor = Bonus;
 
+/**
+ * Clips of the bonuses: bobbing up and down
+ */
+Bonus.clips = {
+  idle: {
+    frames: [0, {dy: -2}, {dy: -4}, {dy: -5}, {dy: -4}, {dy: -2}],
+    fps: 8,
+    loop: true
+  }
+};
+
 /**
  * Bonus update logic:
- * - slide down the screen (and die if reached the bottom)
- * - check if player picked us up
+ * slide down the screen (and die if reached the bottom)
+ * unless it is a stationary one
  * @param {number} dt - a time delta between ticks
  */
 Bonus.prototype.update = function(dt) {
+  if (!this.falling) {
+    return;
+  }
+
   this.y += this.speed * dt;
 
   // make sure bonus dies after falling off the screen
   if (this.y > this.screenBounds.height) {
     this.alive_ = false;
   }
-
-  // check if player caught the bonus
-  // TODO: refactor Enemy.collide to be able to re-use it
-  var playerRects = player.boundingBoxes();
-  var ownRects = this.boundingBoxes();
-
-done:
-  for (var i = 0, l = ownRects.length; i < l; i++) {
-    for (var j = 0, ol = playerRects.length; j < ol; j++) {
-      if (Enemy.rectsIntersect(ownRects[i], playerRects[j])) {
-        this.applyBonus(player);
-        break done;
-      }
-    }
-  }
 };
 
 /**
  * Apply bonus to the object that presumably caught it
  * @param {Enemy} receiver - happy owner of the bonus
+ * @param {GameState} state - state of the current run
  */
-Bonus.prototype.applyBonus = function(receiver) {
-  // speed up the receiver
-  receiver.speed *= 2;
+Bonus.prototype.applyBonus = function(receiver, state) {
+  state.addScore(this.points);
 
   // die
   this.alive_ = false;
@@ -606,15 +1580,194 @@ Bonus.prototype.isAlive = function() {
   return this.alive_;
 };
 
+/**
+ * Star - puts a status effect on the receiver (speed boost by default)
+ * @constructor
+ * @implements {Bonus}
+ * @param {number} x - horizontal coordinate of the bonus
+ * @param {number} y - vertical coordinate of the bonus
+ * @param {string} effect - one of Effect.types
+ */
+var StarBonus = function(x, y, effect) {
+  Bonus.call(this, x, y, 'images/Star.png');
+
+  // the effect the star brings
+  this.effect = effect || 'speed';
+};
+
+StarBonus.prototype = Object.create(Bonus.prototype);
+StarBonus.prototype.constructor = StarBonus;
+
+/**
+ * Put the effect on the receiver
+ * @param {Player} receiver - happy owner of the bonus
+ * @param {GameState} state - state of the current run
+ */
+StarBonus.prototype.applyBonus = function(receiver, state) {
+  receiver.addEffect(this.effect);
+
+  Bonus.prototype.applyBonus.call(this, receiver, state);
+};
+
+/**
+ * Default render - but stars bringing something other than speed
+ * are marked with the color of their effect
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ */
+StarBonus.prototype.render = function(ctx) {
+  if (this.effect !== 'speed') {
+    var r = this.rectBounds;
+    var prevStrokeStyle = ctx.strokeStyle;
+    var prevLineWidth = ctx.lineWidth;
+
+    ctx.strokeStyle = Effect.types[this.effect].color;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.arc(this.x + (r.left + r.right) / 2, this.y + (r.top + r.bottom) / 2,
+            (r.right - r.left) / 2, 0, 2 * Math.PI);
+    ctx.stroke();
+
+    ctx.lineWidth = prevLineWidth;
+    ctx.strokeStyle = prevStrokeStyle;
+  }
+
+  Bonus.prototype.render.call(this, ctx);
+};
+
+/**
+ * Gem - worth some points (depending on its color)
+ * @constructor
+ * @implements {Bonus}
+ * @param {number} x - horizontal coordinate of the bonus
+ * @param {number} y - vertical coordinate of the bonus
+ * @param {string} color - one of GemBonus.colors
+ */
+var GemBonus = function(x, y, color) {
+  var gem = GemBonus.colors[color] || GemBonus.colors.blue;
+
+  Bonus.call(this, x, y, gem.sprite);
+
+  // the gem takes most of the image
+  this.rectBounds = {
+    left: 3,
+    top: 58,
+    right: 98,
+    bottom: 163
+  };
+
+  this.hitbox = [
+    Shapes.polygon([[3, 79], [29, 58], [72, 58], [98, 79],
+                    [98, 140], [75, 161], [27, 162], [3, 140]])
+  ];
+
+  this.points = gem.points;
+};
+
+GemBonus.prototype = Object.create(Bonus.prototype);
+GemBonus.prototype.constructor = GemBonus;
+
+/**
+ * Known gems - the rarer the color the more points it is worth
+ */
+GemBonus.colors = {
+  blue: {sprite: 'images/Gem Blue.png', points: 100},
+  green: {sprite: 'images/Gem Green.png', points: 200},
+  orange: {sprite: 'images/Gem Orange.png', points: 500}
+};
+
+/**
+ * Heart - one more life
+ * @constructor
+ * @implements {Bonus}
+ * @param {number} x - horizontal coordinate of the bonus
+ * @param {number} y - vertical coordinate of the bonus
+ */
+var HeartBonus = function(x, y) {
+  Bonus.call(this, x, y, 'images/Heart.png');
+
+  this.rectBounds = {
+    left: 7,
+    top: 48,
+    right: 95,
+    bottom: 137
+  };
+
+  this.hitbox = [
+    Shapes.polygon([[9, 64], [29, 48], [71, 49], [89, 58],
+                    [95, 85], [89, 99], [50, 137], [14, 99]])
+  ];
+};
+
+HeartBonus.prototype = Object.create(Bonus.prototype);
+HeartBonus.prototype.constructor = HeartBonus;
+
+/**
+ * Give the player one more life
+ * @param {Player} receiver - happy owner of the bonus
+ * @param {GameState} state - state of the current run
+ */
+HeartBonus.prototype.applyBonus = function(receiver, state) {
+  state.addLife();
+
+  Bonus.prototype.applyBonus.call(this, receiver, state);
+};
+
+/**
+ * Key - unlocks the gated goal tiles
+ * @constructor
+ * @implements {Bonus}
+ * @param {number} x - horizontal coordinate of the bonus
+ * @param {number} y - vertical coordinate of the bonus
+ */
+var KeyBonus = function(x, y) {
+  Bonus.call(this, x, y, 'images/Key.png');
+
+  this.rectBounds = {
+    left: 30,
+    top: 57,
+    right: 73,
+    bottom: 143
+  };
+
+  this.hitbox = [
+    Shapes.polygon([[30, 65], [40, 57], [64, 57], [73, 64],
+                    [73, 97], [59, 139], [43, 143], [31, 138]])
+  ];
+};
+
+KeyBonus.prototype = Object.create(Bonus.prototype);
+KeyBonus.prototype.constructor = KeyBonus;
+
+/**
+ * Hand the key over to the player
+ * @param {Player} receiver - happy owner of the bonus
+ * @param {GameState} state - state of the current run
+ */
+KeyBonus.prototype.applyBonus = function(receiver, state) {
+  receiver.hasKey = true;
+
+  Bonus.prototype.applyBonus.call(this, receiver, state);
+};
+
 /**
  * Player - our hero
  * @constructor
  * @implements {Enemy}
  * @param {number} x - initial x position of the bonus
  * @param {number} y - initial y position of the bonus
+ * @param {string} characterId - which hero to play (see Player.characters)
+ * @param {string} movement - how the hero moves: 'free' - for as long as
+ *     the keys are held, in any of eight directions (the default) or
+ *     'grid' - hopping one tile of the board per key press
  */
-var Player = function(x, y) {
-  Enemy.call(this, x, y, 'images/char-boy.png');
+var Player = function(x, y, characterId, movement) {
+  var character = Player.character(characterId);
+
+  // the hero stands, walks and hops (see Player.clips)
+  Enemy.call(this, x, y, character.sprite, Player.clips);
+
+  // the hero being played
+  this.character = character;
 
   // player input
   this.moves = {
@@ -624,53 +1777,308 @@ var Player = function(x, y) {
     down: false
   };
 
-  // use correct bounds for boy character
+  // use correct bounds for the character
   this.rectBounds = {
-    left: 18,
-    top: 64,
-    right: 83,
-    bottom: 140
+    left: character.rectBounds.left,
+    top: character.rectBounds.top,
+    right: character.rectBounds.right,
+    bottom: character.rectBounds.bottom
   };
 
+  // the true shape of the character (within the bounding box)
+  this.hitbox = [Shapes.polygon(character.hitbox)];
+
   // player is a bit faster than enemies
-  this.speed = 333;
+  this.speed = character.speed;
+
+  // the goal is reached once the player stands on this line (or above it)
+  this.goalY = -10;
+
+  // gated goal tiles could only be passed with a key
+  this.hasKey = false;
+
+  // either 'free' or 'grid'
+  this.movement = movement || 'free';
+
+  // @private - the hop in progress (grid movement only) - its direction,
+  // length and the distance left to go
+  this.hop_ = null;
+
+  // @private - hops asked for but not started yet (see Player.HOP_BUFFER)
+  this.hops_ = [];
 };
 
 Player.prototype = Object.create(Enemy.prototype);
 Player.prototype.constructor = Player;
 
+/**
+ * Size of one hop - a tile of the board
+ */
+Player.HOP_WIDTH = 101;
+Player.HOP_HEIGHT = 83;
+
+/**
+ * Hops are quicker than walking (the speed is multiplied by this)
+ */
+Player.HOP_SPEEDUP = 2;
+
+/**
+ * How high (in pixels) the hero jumps in the middle of the hop
+ */
+Player.HOP_LIFT = 15;
+
+/**
+ * How many key presses are remembered while hopping
+ */
+Player.HOP_BUFFER = 2;
+
+/**
+ * Clips of the heroes: standing still, walking (bobbing along), hopping
+ * (squashed before the jump, stretched in the air - as long as a hop
+ * takes) and dying (flattened and fading away)
+ */
+Player.clips = {
+  idle: {frames: [0], fps: 1, loop: true},
+  walk: {frames: [0, {dy: -3}], fps: 8, loop: true},
+  hop: {
+    frames: [{scaleX: 1.1, scaleY: 0.88}, {scaleX: 0.94, scaleY: 1.08},
+             {scaleX: 0.97, scaleY: 1.04}, 0],
+    fps: 30,
+    loop: false
+  },
+  death: {
+    frames: [{scaleX: 1.1, scaleY: 0.8, alpha: 0.9},
+             {scaleX: 1.2, scaleY: 0.5, alpha: 0.7},
+             {scaleX: 1.3, scaleY: 0.3, alpha: 0.5},
+             {scaleX: 1.4, scaleY: 0.15, alpha: 0.3}],
+    fps: 8,
+    loop: false
+  }
+};
+
+/**
+ * Directions of the hops
+ */
+Player.hops = {
+  left: {x: -1, y: 0},
+  up: {x: 0, y: -1},
+  right: {x: 1, y: 0},
+  down: {x: 0, y: 1}
+};
+
 /**
  * Change position based on the input
  * and make sure that we stay on screen at all times
  * @param {number} dt - a time delta between ticks
  */
 Player.prototype.update = function(dt) {
-  var displacement = dt * this.speed;
+  if (this.movement === 'grid') {
+    this.hop(dt);
+  } else {
+    this.walk(dt);
+  }
+};
+
+/**
+ * Free movement - walk for as long as the keys are held
+ * @param {number} dt - a time delta between ticks
+ */
+Player.prototype.walk = function(dt) {
+  var displacement = dt * this.currentSpeed();
+  var dx = 0;
+  var dy = 0;
 
   if (this.moves.left) {
-    this.x -= displacement;
+    dx -= displacement;
   }
 
   if (this.moves.right) {
-    this.x += displacement;
+    dx += displacement;
   }
 
   if (this.moves.up) {
-    this.y -= displacement;
+    dy -= displacement;
   }
 
   if (this.moves.down) {
-    this.y += displacement;
+    dy += displacement;
   }
 
+  // obstacles are in the way - but we can slide along them
+  this.move(dx, dy);
+
   this.forceScreenBounds();
 };
 
 /**
+ * Grid movement - go on with the hop in progress (or start the next one)
+ * @param {number} dt - a time delta between ticks
+ */
+Player.prototype.hop = function(dt) {
+  if (!this.hop_) {
+    this.startHop_();
+  }
+
+  var hop = this.hop_;
+  if (!hop) {
+    return;
+  }
+
+  var travel = Math.min(dt * this.currentSpeed() * Player.HOP_SPEEDUP,
+                        hop.left);
+  hop.left -= travel;
+  this.x += hop.direction.x * travel;
+  this.y += hop.direction.y * travel;
+
+  // land right in the middle of the tile
+  if (hop.left <= 0) {
+    this.x = hop.x;
+    this.y = hop.y;
+    this.hop_ = null;
+  }
+};
+
+/**
+ * @private
+ * Start the first of the hops asked for which is not blocked by obstacles
+ * or the edges of the screen (the blocked ones are dropped)
+ */
+Player.prototype.startHop_ = function() {
+  while (this.hops_.length) {
+    var direction = Player.hops[this.hops_.shift()];
+    var length = direction.x ? Player.HOP_WIDTH : Player.HOP_HEIGHT;
+    var x = this.x + direction.x * length;
+    var y = this.y + direction.y * length;
+
+    if (this.canStandAt_(x, y)) {
+      this.hop_ = {direction: direction, length: length, left: length,
+                   x: x, y: y};
+
+      // every hop is a jump of its own (even one right after another)
+      this.animation.play('hop', true);
+      return;
+    }
+  }
+};
+
+/**
+ * @private
+ * @param {number} x - x-value of the sprite
+ * @param {number} y - y-value of the sprite
+ * @return {boolean} - is the place on the screen and free of obstacles?
+ */
+Player.prototype.canStandAt_ = function(x, y) {
+  var r = this.rectBounds;
+  var screen = this.screenBounds;
+  var box = {
+    left: x + r.left,
+    top: y + r.top,
+    right: x + r.right,
+    bottom: y + r.bottom
+  };
+
+  // the goal line is always within reach (see topLimit_)
+  if (box.left < screen.x || box.right > screen.width ||
+      y < this.topLimit_() || box.bottom > screen.height) {
+    return false;
+  }
+  return !this.obstacles.some(function(obstacle) {
+    return Enemy.rectsOverlap(box, obstacle.solidBox());
+  });
+};
+
+/**
+ * @return {string} the clip of what the hero is doing: hopping, walking
+ *     (any key held while moving freely) or standing still
+ */
+Player.prototype.clip = function() {
+  if (this.hop_) {
+    return 'hop';
+  }
+
+  var moving = this.movement === 'free' && (this.moves.left ||
+      this.moves.right || this.moves.up || this.moves.down);
+  return moving ? 'walk' : 'idle';
+};
+
+/**
+ * @return {boolean} - is the hero in the middle of a hop?
+ */
+Player.prototype.isHopping = function() {
+  return !!this.hop_;
+};
+
+/**
+ * @return {number} how high above the ground the hero is (in pixels) -
+ *     only the sprite is lifted, the bounding box stays on the ground
+ */
+Player.prototype.lift = function() {
+  if (!this.hop_) {
+    return 0;
+  }
+  var progress = 1 - this.hop_.left / this.hop_.length;
+  return Math.sin(progress * Math.PI) * Player.HOP_LIFT;
+};
+
+/**
+ * Default render - but the player blinks while invulnerable
+ * (and jumps up while hopping)
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ */
+Player.prototype.render = function(ctx) {
+  var prevAlpha = ctx.globalAlpha;
+  var y = this.y;
+
+  var shield = this.effects().filter(function(effect) {
+    return effect.flag('invulnerable');
+  })[0];
+
+  // the invulnerable hero blinks ten times a second - as the time of
+  // the effect runs out (so the blinking stops along with the game)
+  if (shield) {
+    ctx.globalAlpha = (Math.floor(shield.timeLeft * 10) % 2) ? 0.3 : 0.8;
+  }
+  this.y -= this.lift();
+  Enemy.prototype.render.call(this, ctx);
+
+  this.y = y;
+  ctx.globalAlpha = prevAlpha;
+};
+
+/**
+ * The goal is reached once the hero stands on the goal line (or above it) -
+ * in either movement mode (hops land right on the lines of the rows)
  * @return {boolean} - has our hero reached the goal?
  */
 Player.prototype.reachedWater = function() {
-  return this.y < -10;
+  return this.y <= this.goalY;
+};
+
+/**
+ * @private
+ * @return {number} the lowest y-value the hero could go up to - the top of
+ *     the screen, but never short of the goal line (the characters with
+ *     their heads higher within the sprite would not reach it otherwise)
+ */
+Player.prototype.topLimit_ = function() {
+  return Math.min(this.screenBounds.y - this.rectBounds.top, this.goalY);
+};
+
+/**
+ * Float along with the platform the hero stands on
+ * @param {Platform} platform - the platform carrying the hero
+ */
+Player.prototype.ride = function(platform) {
+  this.x += platform.drift();
+};
+
+/**
+ * Nothing but the rides could take the hero past the edges of the screen
+ * @return {boolean} - is the hero (partly) carried off the screen?
+ */
+Player.prototype.isOffScreen = function() {
+  return this.x + this.rectBounds.left < this.screenBounds.x ||
+         this.x + this.rectBounds.right > this.screenBounds.width;
 };
 
 /**
@@ -685,8 +2093,8 @@ Player.prototype.forceScreenBounds = function() {
     this.x = this.screenBounds.width - this.rectBounds.right;
   }
 
-  if (this.y + this.rectBounds.top < this.screenBounds.y) {
-    this.y = this.screenBounds.y - this.rectBounds.top;
+  if (this.y < this.topLimit_()) {
+    this.y = this.topLimit_();
   }
 
   if (this.y + this.rectBounds.bottom > this.screenBounds.height) {
@@ -695,40 +2103,140 @@ Player.prototype.forceScreenBounds = function() {
 };
 
 /**
- * Store the input in 'keypresses' table
+ * Store the input in 'keypresses' table - and every keypress
+ * as a hop to take (when moving on the grid)
  * @param {string} movement - one of 'left', 'up', 'right' or 'down'
-   * @param {boolean} pressed - is it keypress or keyrelease
+ * @param {boolean} pressed - is it keypress or keyrelease
  */
 Player.prototype.handleInput = function(movement, pressed) {
+  // anything else (e.g. from a broken recording) is no movement at all
+  if (!Player.hops.hasOwnProperty(movement)) {
+    return;
+  }
+
   this.moves[movement] = pressed;
+
+  if (pressed && this.movement === 'grid' &&
+      this.hops_.length < Player.HOP_BUFFER) {
+    this.hops_.push(movement);
+  }
 };
 
 /**
- * keys to movements mappings
+ * Forget all the input - the player stands still until the next keypress
+ * (the hop in progress is finished, so the hero lands on a tile)
  */
-Player.keys = {
-  37: 'left',
-  38: 'up',
-  39: 'right',
-  40: 'down',
+Player.prototype.stop = function() {
+  this.hops_ = [];
 
-  // fps afficionados and lefties should not be left behind
-  87: 'up',   // 'w'
-  83: 'down', // 's'
-  65: 'left', // 'a'
-  68: 'right' // 'd'
+  for (var movement in this.moves) {
+    if (this.moves.hasOwnProperty(movement)) {
+      this.moves[movement] = false;
+    }
+  }
 };
 
-// send keyup events to player
-document.addEventListener('keyup', function(e) {
-  if (player) {
-    player.handleInput(Player.keys[e.keyCode], false);
-  }
-});
+/**
+ * Remains of the hero who lost a life - the death clip of the hero played
+ * once where they were (nothing collides with the remains)
+ * @constructor
+ * @implements {Enemy}
+ * @param {Player} player - the hero who lost a life
+ */
+var Remains = function(player) {
+  Enemy.call(this, player.x, player.y, player.character.sprite,
+             Player.clips);
+
+  this.animation.play('death');
+};
+
+Remains.prototype = Object.create(Enemy.prototype);
+Remains.prototype.constructor = Remains;
+
+/**
+ * @return {string}
+ */
+Remains.prototype.clip = function() {
+  return 'death';
+};
 
-// send keydown events to player
-document.addEventListener('keydown', function(e) {
-  if (player) {
-    player.handleInput(Player.keys[e.keyCode], true);
+/**
+ * @return {boolean} - are the remains still there? (until the clip is over)
+ */
+Remains.prototype.isAlive = function() {
+  return !this.animation.isDone();
+};
+
+/**
+ * Playable characters:
+ * - id - used to refer to the character
+ * - name - shown on the character selection screen
+ * - sprite - image of the character
+ * - rectBounds - tight bounding box of the character within the sprite
+ * - hitbox - points of the convex polygon outlining the character
+ *   (within the bounding box) - used by the precise collisions
+ * - speed - base speed of the character
+ */
+Player.characters = [
+  {
+    id: 'boy',
+    name: 'Boy',
+    sprite: 'images/char-boy.png',
+    rectBounds: {left: 18, top: 64, right: 83, bottom: 140},
+    hitbox: [[18, 87], [23, 67], [42, 64], [78, 66], [83, 85],
+              [83, 102], [68, 131], [58, 139], [42, 138], [21, 110]],
+    speed: 333
+  },
+  {
+    id: 'cat-girl',
+    name: 'Cat Girl',
+    sprite: 'images/char-cat-girl.png',
+    rectBounds: {left: 17, top: 61, right: 85, bottom: 140},
+    hitbox: [[17, 88], [27, 62], [75, 62], [85, 88], [81, 112],
+              [67, 132], [57, 139], [44, 139], [35, 132], [20, 112]],
+    speed: 366
+  },
+  {
+    id: 'horn-girl',
+    name: 'Horn Girl',
+    sprite: 'images/char-horn-girl.png',
+    // horns stick out to the left, but they do not count as a hit
+    rectBounds: {left: 16, top: 64, right: 84, bottom: 140},
+    hitbox: [[17, 86], [24, 67], [35, 64], [65, 64], [77, 67],
+              [84, 88], [80, 113], [63, 135], [44, 139], [16, 124]],
+    speed: 333
+  },
+  {
+    id: 'pink-girl',
+    name: 'Pink Girl',
+    sprite: 'images/char-pink-girl.png',
+    rectBounds: {left: 13, top: 63, right: 89, bottom: 140},
+    hitbox: [[24, 75], [43, 63], [65, 65], [78, 76], [89, 97],
+              [81, 115], [57, 139], [44, 139], [20, 115], [13, 100]],
+    speed: 350
+  },
+  {
+    id: 'princess-girl',
+    name: 'Princess',
+    sprite: 'images/char-princess-girl.png',
+    rectBounds: {left: 14, top: 52, right: 88, bottom: 140},
+    hitbox: [[23, 77], [38, 54], [52, 52], [65, 56], [87, 93],
+              [80, 114], [58, 139], [44, 139], [20, 114], [14, 100]],
+    speed: 300 // a bit slower - that crown is heavy
   }
-});
+];
+
+/**
+ * @param {string} id - id of the character
+ * @return {Object} character definition (the first one if id is unknown)
+ */
+Player.character = function(id) {
+  var found = Player.characters.filter(function(character) {
+    return character.id === id;
+  });
+  return found.length ? found[0] : Player.characters[0];
+};
+
+export {Enemy, WrappingEnemy, BouncingEnemy, WildEnemy, Rock, Platform, Log,
+        Turtles, Text, MultiText, Chronos, GameState, Hud, Bonus, StarBonus,
+        GemBonus, HeartBonus, KeyBonus, Player, Remains};
@@ -0,0 +1,248 @@
+/* Audio.js
+ * Sound effects and music of a game. The sounds are resources - loaded
+ * along with the images before the game starts (see AudioManager.files and
+ * Resources.load), so they are at hand once played:
+ * - effects - short sounds played on the events of the game (several of
+ *   them may play at once, even the same one)
+ * - music - one track at a time, looped (every level could have its own)
+ *
+ * The players could set the volume of everything (master), of the music and
+ * of the effects or mute the game altogether - the settings are saved to
+ * the storage given (e.g. localStorage) on every change and restored from
+ * it once created.
+ */
+import * as Resources from './resources.js';
+import * as Settings from './storage.js';
+
+/**
+ * Sounds of a game
+ * @constructor
+ * @param {Storage} storage - where the settings are kept (e.g.
+ *     localStorage) - nothing is saved if omitted
+ */
+var AudioManager = function(storage) {
+  // volumes (0 to 1) and whether the game is muted
+  this.settings = {
+    master: AudioManager.defaults.master,
+    music: AudioManager.defaults.music,
+    effects: AudioManager.defaults.effects,
+    muted: AudioManager.defaults.muted
+  };
+
+  // @private - where the settings are kept
+  this.storage_ = storage || null;
+
+  // @private - the track chosen (its URL) and the sound playing it
+  this.track_ = null;
+  this.music_ = null;
+
+  // @private - should the music be playing now?
+  this.playing_ = false;
+
+  this.restore_();
+};
+
+/**
+ * Sound effects of the events of the game
+ */
+AudioManager.effects = {
+  hit: 'audio/hit.wav',
+  splash: 'audio/splash.wav',
+  bonus: 'audio/bonus.wav',
+  goal: 'audio/goal.wav',
+  warning: 'audio/warning.wav',
+  timeout: 'audio/timeout.wav'
+};
+
+/**
+ * Music of the levels (the first one is played unless the level says
+ * otherwise - see levels.js)
+ */
+AudioManager.tracks = [
+  'audio/music-meadow.wav',
+  'audio/music-river.wav'
+];
+
+/**
+ * Default settings
+ */
+AudioManager.defaults = {
+  master: 1,
+  music: 0.5,
+  effects: 0.8,
+  muted: false
+};
+
+/**
+ * Volumes which could be set
+ */
+AudioManager.channels = ['master', 'music', 'effects'];
+
+/**
+ * Key of the settings in the storage
+ */
+AudioManager.STORAGE_KEY = 'frogger.audio';
+
+/**
+ * @return {Array.<string>} all the sounds to load before the game starts
+ */
+AudioManager.files = function() {
+  return Object.keys(AudioManager.effects).map(function(name) {
+    return AudioManager.effects[name];
+  }).concat(AudioManager.tracks);
+};
+
+/**
+ * Play the sound effect
+ * @param {string} name - one of AudioManager.effects
+ */
+AudioManager.prototype.play = function(name) {
+  var sound = Resources.get(AudioManager.effects[name]);
+  var volume = this.volume('effects');
+
+  if (sound && volume > 0) {
+    // a copy of its own - so the same effect could overlap
+    sound = sound.cloneNode();
+    sound.volume = volume;
+    AudioManager.start_(sound);
+  }
+};
+
+/**
+ * Choose the music - it is played from the start (unless it is the one
+ * chosen already) once the music is resumed
+ * @param {string} track - URL of the track (one of AudioManager.tracks)
+ */
+AudioManager.prototype.setTrack = function(track) {
+  if (track === this.track_) {
+    return;
+  }
+
+  if (this.music_) {
+    this.music_.pause();
+  }
+  this.track_ = track;
+  this.music_ = Resources.get(track) || null;
+  if (this.music_) {
+    this.music_.loop = true;
+    this.music_.currentTime = 0;
+  }
+  this.update_();
+};
+
+/**
+ * Play the music chosen (from where it was paused)
+ */
+AudioManager.prototype.resumeMusic = function() {
+  this.playing_ = true;
+  this.update_();
+};
+
+/**
+ * Pause the music
+ */
+AudioManager.prototype.pauseMusic = function() {
+  this.playing_ = false;
+  this.update_();
+};
+
+/**
+ * @param {string} channel - one of AudioManager.channels
+ * @return {number} volume the channel is played with (0 to 1) - as set
+ *     for the channel and for everything and none at all if muted
+ */
+AudioManager.prototype.volume = function(channel) {
+  if (this.settings.muted) {
+    return 0;
+  }
+  return (channel === 'master') ? this.settings.master :
+                                  this.settings.master * this.settings[channel];
+};
+
+/**
+ * Set the volume (and save the settings)
+ * @param {string} channel - one of AudioManager.channels
+ * @param {number} volume - from 0 to 1 (anything else is clamped)
+ */
+AudioManager.prototype.setVolume = function(channel, volume) {
+  // steps of tenths should not end up a bit off
+  volume = Math.round(Math.min(Math.max(volume, 0), 1) * 100) / 100;
+
+  this.settings[channel] = volume;
+  this.update_();
+  this.save_();
+};
+
+/**
+ * Mute the game or let it be heard again (and save the settings)
+ * @return {boolean} - is the game muted now?
+ */
+AudioManager.prototype.toggleMute = function() {
+  this.settings.muted = !this.settings.muted;
+  this.update_();
+  this.save_();
+  return this.settings.muted;
+};
+
+/**
+ * @private
+ * Let the music play (or not) with the volume set
+ */
+AudioManager.prototype.update_ = function() {
+  var music = this.music_;
+  if (!music) {
+    return;
+  }
+
+  music.volume = this.volume('music');
+  if (this.playing_ && music.volume > 0) {
+    AudioManager.start_(music);
+  } else {
+    music.pause();
+  }
+};
+
+/**
+ * @private
+ * Save the settings (if there is where to)
+ */
+AudioManager.prototype.save_ = function() {
+  Settings.save(this.storage_, AudioManager.STORAGE_KEY, this.settings);
+};
+
+/**
+ * @private
+ * Restore the settings saved - the ones which do not make sense are left
+ * as they are
+ */
+AudioManager.prototype.restore_ = function() {
+  var data = Settings.restore(this.storage_, AudioManager.STORAGE_KEY);
+  if (!data) {
+    return;
+  }
+
+  AudioManager.channels.forEach(function(channel) {
+    var volume = data[channel];
+    if (typeof volume === 'number' && volume >= 0 && volume <= 1) {
+      this.settings[channel] = volume;
+    }
+  }, this);
+  if (typeof data.muted === 'boolean') {
+    this.settings.muted = data.muted;
+  }
+};
+
+/**
+ * @private
+ * Play the sound - browsers refuse to play anything until the page is
+ * interacted with, which is no reason to stop the game
+ * @param {HTMLAudioElement} sound - sound to play
+ */
+AudioManager.start_ = function(sound) {
+  var playing = sound.play();
+  if (playing && playing.catch) {
+    playing.catch(function() {});
+  }
+};
+
+export {AudioManager};
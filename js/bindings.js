@@ -0,0 +1,241 @@
+/* Bindings.js
+ * Keys of the actions of the game - players could rebind them on the
+ * controls screen. Keys are told apart by KeyboardEvent.code (e.g. 'KeyW'),
+ * which names the physical key rather than the character it types - so
+ * WASD stays where it is on any keyboard layout.
+ *
+ * An action could have several keys, but a key belongs to one action at
+ * most: binding a key taken by another action swaps the keys - that action
+ * gets the keys of the one rebound in place of the key taken (the conflict
+ * is reported, see Bindings.prototype.bind), so no action is ever left
+ * without a key. A few keys (the developer's ones) could not be bound
+ * at all.
+ *
+ * The bindings are saved to the storage given (e.g. localStorage) on every
+ * change and restored from it once created. Anything stored which does not
+ * make sense (reserved keys, conflicts, actions left without a key) is
+ * ignored in favor of the defaults.
+ */
+import * as Settings from './storage.js';
+
+/**
+ * Keys of the actions
+ * @constructor
+ * @param {Storage} storage - where the bindings are kept (e.g.
+ *     localStorage) - nothing is saved if omitted
+ */
+var Bindings = function(storage) {
+  // @private - where the bindings are kept
+  this.storage_ = storage || null;
+
+  // @private - keys of every action (action -> codes)
+  this.keys_ = Bindings.copy_(Bindings.defaults);
+
+  this.restore_();
+};
+
+/**
+ * Default keys of the actions - in the order they are listed on the
+ * controls screen
+ */
+Bindings.defaults = {
+  // fps afficionados and lefties should not be left behind (WASD)
+  up: ['ArrowUp', 'KeyW'],
+  down: ['ArrowDown', 'KeyS'],
+  left: ['ArrowLeft', 'KeyA'],
+  right: ['ArrowRight', 'KeyD'],
+  confirm: ['Enter'],
+  pause: ['KeyP', 'Escape'],
+  movement: ['KeyM'],
+  controls: ['KeyC'],
+  sound: ['KeyV']
+};
+
+/**
+ * Names of the actions as shown on the controls screen
+ */
+Bindings.names = {
+  up: 'Up',
+  down: 'Down',
+  left: 'Left',
+  right: 'Right',
+  confirm: 'Confirm',
+  pause: 'Pause',
+  movement: 'Hop / walk',
+  controls: 'Controls',
+  sound: 'Sound'
+};
+
+/**
+ * Keys which could not be bound - the developer overlay and the recordings
+ * (see engine.js)
+ */
+Bindings.reserved = ['Backquote', 'F8', 'F9'];
+
+/**
+ * Key of the bindings in the storage
+ */
+Bindings.STORAGE_KEY = 'frogger.bindings';
+
+/**
+ * @param {string} code - a key (KeyboardEvent.code)
+ * @return {string} the key as shown to the players (e.g. 'W' for 'KeyW')
+ */
+Bindings.label = function(code) {
+  return code.replace(/^(Key|Digit|Arrow)/, '').toUpperCase();
+};
+
+/**
+ * @param {string} code - a key (KeyboardEvent.code)
+ * @return {string|undefined} the action of the key (if any)
+ */
+Bindings.prototype.actionOf = function(code) {
+  for (var action in this.keys_) {
+    if (this.keys_.hasOwnProperty(action) &&
+        this.keys_[action].indexOf(code) !== -1) {
+      return action;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * @param {string} action - one of the actions
+ * @return {Array.<string>} keys of the action
+ */
+Bindings.prototype.keysOf = function(action) {
+  return this.keys_[action].slice();
+};
+
+/**
+ * @param {string} action - one of the actions
+ * @return {string} the first key of the action as shown to the players
+ *     (or '?' if it has none - which should never happen)
+ */
+Bindings.prototype.labelOf = function(action) {
+  var keys = this.keys_[action];
+  return keys.length ? Bindings.label(keys[0]) : '?';
+};
+
+/**
+ * @param {string} code - a key (KeyboardEvent.code)
+ * @return {boolean} - is the key off limits?
+ */
+Bindings.prototype.isReserved = function(code) {
+  return Bindings.reserved.indexOf(code) !== -1;
+};
+
+/**
+ * Make the key the only one of the action (and save the bindings) - if
+ * the key belonged to another action, that one gets the keys the action
+ * had in its place
+ * @param {string} action - one of the actions
+ * @param {string} code - a key (KeyboardEvent.code) - not a reserved one
+ * @return {string|null} the action the key has been taken from (if it
+ *     belonged to another one)
+ */
+Bindings.prototype.bind = function(action, code) {
+  var taken = this.actionOf(code);
+  var keys;
+
+  if (this.isReserved(code)) {
+    throw new Error('Key ' + code + ' could not be bound');
+  }
+  if (taken && taken !== action) {
+    keys = this.keys_[taken];
+    this.keys_[taken] = keys.slice(0, keys.indexOf(code)).concat(
+        this.keys_[action], keys.slice(keys.indexOf(code) + 1));
+  }
+  this.keys_[action] = [code];
+  this.save_();
+
+  return (taken && taken !== action) ? taken : null;
+};
+
+/**
+ * Bring the default keys back (and save them)
+ */
+Bindings.prototype.reset = function() {
+  this.keys_ = Bindings.copy_(Bindings.defaults);
+  this.save_();
+};
+
+/**
+ * @return {Object.<string, Array.<string>>} keys of every action
+ */
+Bindings.prototype.toJSON = function() {
+  return Bindings.copy_(this.keys_);
+};
+
+/**
+ * @private
+ * Save the bindings (if there is where to)
+ */
+Bindings.prototype.save_ = function() {
+  Settings.save(this.storage_, Bindings.STORAGE_KEY, this);
+};
+
+/**
+ * @private
+ * Restore the bindings saved - unless they are broken (then the defaults
+ * stay)
+ */
+Bindings.prototype.restore_ = function() {
+  var data = Settings.restore(this.storage_, Bindings.STORAGE_KEY);
+  if (!data) {
+    return;
+  }
+
+  var keys = Bindings.copy_(Bindings.defaults);
+  var owners = {};
+
+  for (var action in keys) {
+    if (!keys.hasOwnProperty(action) || !data.hasOwnProperty(action)) {
+      continue;
+    }
+    if (!Array.isArray(data[action])) {
+      return;
+    }
+
+    for (var i = 0; i < data[action].length; i++) {
+      var code = data[action][i];
+      if (typeof code !== 'string' || this.isReserved(code) ||
+          owners[code]) {
+        return;
+      }
+      owners[code] = action;
+    }
+    keys[action] = data[action].slice();
+  }
+
+  // keys of the actions missing from the data might be taken by now -
+  // but no action could be left without a key
+  for (action in keys) {
+    if (keys.hasOwnProperty(action) && !data.hasOwnProperty(action)) {
+      keys[action] = keys[action].filter(function(key) {
+        return !owners[key];
+      });
+    }
+    if (keys.hasOwnProperty(action) && !keys[action].length) {
+      return;
+    }
+  }
+  this.keys_ = keys;
+};
+
+/**
+ * @private
+ * @param {Object.<string, Array.<string>>} keys - keys of the actions
+ * @return {Object.<string, Array.<string>>} a copy of the keys
+ */
+Bindings.copy_ = function(keys) {
+  var copy = {};
+  for (var action in keys) {
+    if (keys.hasOwnProperty(action)) {
+      copy[action] = keys[action].slice();
+    }
+  }
+  return copy;
+};
+
+export {Bindings};
@@ -0,0 +1,226 @@
+/* Collisions.js
+ * Collision detection shared by all the entities of a world. Every step the
+ * bounding boxes of the entities are put into a spatial hash - a grid of
+ * cells the size of the board tiles - so only the entities sharing a cell
+ * are tested against each other, no matter how many of them there are.
+ *
+ * Every entity taking part belongs to a collision layer and the masks tell
+ * which layers collide with which (see Collisions.masks). The game learns
+ * about the contacts through the callbacks registered for a pair of layers:
+ * - enter - the entities have just started touching
+ * - stay - the entities are still touching (called every step after enter)
+ * - exit - the entities are not touching anymore (or one of them is gone)
+ *
+ * Entities touch when their bounding boxes intersect - or, in the precise
+ * mode, when their true shapes (hitboxes) do (see Enemy.prototype.touches).
+ */
+
+/**
+ * Collision detection of one world
+ * @constructor
+ * @param {number} cellWidth - width of the cells (in pixels)
+ * @param {number} cellHeight - height of the cells (in pixels)
+ */
+var Collisions = function(cellWidth, cellHeight) {
+  this.cellWidth = cellWidth || Collisions.CELL_WIDTH;
+  this.cellHeight = cellHeight || Collisions.CELL_HEIGHT;
+
+  // compare the true shapes of the entities rather than bounding boxes
+  this.precise = false;
+
+  // which layers collide with which (a copy of the defaults to play with)
+  this.masks = {};
+  for (var layer in Collisions.masks) {
+    if (Collisions.masks.hasOwnProperty(layer)) {
+      this.masks[layer] = Collisions.masks[layer];
+    }
+  }
+
+  // @private - callbacks for the pairs of layers ('a/b' -> handlers)
+  this.handlers_ = {};
+
+  // @private - pairs of bodies touching since the last step (by pair key)
+  this.contacts_ = {};
+};
+
+/**
+ * Default cell size - one tile of the board
+ */
+Collisions.CELL_WIDTH = 101;
+Collisions.CELL_HEIGHT = 83;
+
+/**
+ * Collision layers - one bit each
+ */
+Collisions.layers = {
+  player: 1,
+  enemy: 2,
+  pickup: 4,
+  obstacle: 8,
+  platform: 16
+};
+
+/**
+ * Default masks - the layers every layer collides with:
+ * the player runs into enemies, picks up the pickups and rides
+ * the platforms. The obstacles collide with nothing here - the entities
+ * blocked by them resolve it on their own, as they need to know the move
+ * made within the step (see Enemy.prototype.pushOut)
+ */
+Collisions.masks = {
+  player: Collisions.layers.enemy | Collisions.layers.pickup |
+          Collisions.layers.platform,
+  enemy: Collisions.layers.player,
+  pickup: Collisions.layers.player,
+  obstacle: 0,
+  platform: Collisions.layers.player
+};
+
+/**
+ * Register the callbacks for the contacts of two layers - every callback
+ * is called with the entity of the first layer and the one of the second
+ * @param {string} first - one of Collisions.layers
+ * @param {string} second - one of Collisions.layers
+ * @param {{enter: function(Object, Object),
+ *          stay: function(Object, Object),
+ *          exit: function(Object, Object)}} handlers - the callbacks
+ *     (all of them are optional)
+ */
+Collisions.prototype.on = function(first, second, handlers) {
+  this.handlers_[first + '/' + second] = handlers;
+};
+
+/**
+ * @param {string} first - one of Collisions.layers
+ * @param {string} second - one of Collisions.layers
+ * @return {boolean} - do the layers collide with each other?
+ */
+Collisions.prototype.collides = function(first, second) {
+  return !!((this.masks[first] & Collisions.layers[second]) ||
+            (this.masks[second] & Collisions.layers[first]));
+};
+
+/**
+ * Forget all the contacts (without calling exit callbacks) - e.g. when
+ * the world starts over
+ */
+Collisions.prototype.reset = function() {
+  this.contacts_ = {};
+};
+
+/**
+ * Find the bodies touching each other and call the callbacks
+ * @param {Array.<{id: number, entity: Object, collision: string}>} bodies -
+ *     entities along with their unique ids and collision layers
+ */
+Collisions.prototype.detect = function(bodies) {
+  var cells = this.hash_(bodies);
+  var tested = {};
+  var contacts = {};
+
+  for (var key in cells) {
+    if (!cells.hasOwnProperty(key)) {
+      continue;
+    }
+
+    var cell = cells[key];
+    for (var i = 0, l = cell.length; i < l; i++) {
+      for (var j = i + 1; j < l; j++) {
+        var a = cell[i];
+        var b = cell[j];
+        var pair = Collisions.pairKey_(a, b);
+
+        if (tested[pair] || !this.collides(a.collision, b.collision)) {
+          continue;
+        }
+        tested[pair] = true;
+
+        if (this.precise ? a.entity.touches(b.entity) :
+                           a.entity.intersects(b.entity)) {
+          contacts[pair] = (a.id < b.id) ? [a, b] : [b, a];
+        }
+      }
+    }
+  }
+
+  for (pair in contacts) {
+    if (contacts.hasOwnProperty(pair)) {
+      this.notify_(this.contacts_[pair] ? 'stay' : 'enter', contacts[pair]);
+    }
+  }
+  for (pair in this.contacts_) {
+    if (this.contacts_.hasOwnProperty(pair) && !contacts[pair]) {
+      this.notify_('exit', this.contacts_[pair]);
+    }
+  }
+  this.contacts_ = contacts;
+};
+
+/**
+ * @private
+ * Put the bodies into the cells their bounding boxes cover
+ * @param {Array.<Object>} bodies - bodies to sort out
+ * @return {Object.<string, Array.<Object>>} bodies by cell ('col,row')
+ */
+Collisions.prototype.hash_ = function(bodies) {
+  var cells = {};
+  var w = this.cellWidth;
+  var h = this.cellHeight;
+
+  bodies.forEach(function(body) {
+    // a body with more boxes may cover the same cell more than once
+    var covered = {};
+
+    body.entity.boundingBoxes().forEach(function(box) {
+      var left = Math.floor(box.left / w);
+      var right = Math.floor(box.right / w);
+      var top = Math.floor(box.top / h);
+      var bottom = Math.floor(box.bottom / h);
+
+      for (var col = left; col <= right; col++) {
+        for (var row = top; row <= bottom; row++) {
+          var key = col + ',' + row;
+          if (!covered[key]) {
+            covered[key] = true;
+            (cells[key] = cells[key] || []).push(body);
+          }
+        }
+      }
+    });
+  });
+  return cells;
+};
+
+/**
+ * @private
+ * Call the callback registered for the pair of bodies (if any) - in the
+ * order of the layers it was registered for
+ * @param {string} event - 'enter', 'stay' or 'exit'
+ * @param {Array.<Object>} pair - the bodies touching (or not anymore)
+ */
+Collisions.prototype.notify_ = function(event, pair) {
+  var a = pair[0];
+  var b = pair[1];
+  var handlers = this.handlers_[a.collision + '/' + b.collision];
+
+  if (!handlers) {
+    handlers = this.handlers_[b.collision + '/' + a.collision];
+    a = pair[1];
+    b = pair[0];
+  }
+  if (handlers && handlers[event]) {
+    handlers[event](a.entity, b.entity);
+  }
+};
+
+/**
+ * @private
+ * @param {{id: number}} a - one body
+ * @param {{id: number}} b - another body
+ * @return {string} key of the pair (the same for either order)
+ */
+Collisions.pairKey_ = function(a, b) {
+  return (a.id < b.id) ? a.id + ':' + b.id : b.id + ':' + a.id;
+};
+
+export {Collisions};
@@ -0,0 +1,145 @@
+/* Debug.js
+ * Developer overlay - drawn on top of the game when toggled on (see the
+ * keys below): bounding boxes (and hitboxes) of every entity, frame rate,
+ * frame time, entity counts, the seed and the level. The overlay could also
+ * freeze the simulation and let it go on one step at a time.
+ *
+ * The commands (spawning enemies, giving bonuses, skipping levels, etc.)
+ * are up to the engine - the overlay only lists the keys.
+ */
+
+/**
+ * Developer overlay of a game
+ * @constructor
+ */
+var DebugOverlay = function() {
+  // is the overlay shown?
+  this.visible = false;
+
+  // is the simulation frozen?
+  this.frozen = false;
+
+  // frames per second and the time spent on the last frames (in ms)
+  this.fps = 0;
+  this.frameTime = 0;
+
+  // @private - steps to take while frozen
+  this.pendingSteps_ = 0;
+
+  // @private - frames counted and their time (in seconds) - the frame rate
+  // is updated every DebugOverlay.SAMPLE_TIME
+  this.frames_ = 0;
+  this.elapsed_ = 0;
+
+  // @private - the time spent on the frames counted (in ms)
+  this.busy_ = 0;
+};
+
+/**
+ * How often (in seconds) the frame rate is updated
+ */
+DebugOverlay.SAMPLE_TIME = 0.5;
+
+/**
+ * Keys of the overlay (as shown on the overlay itself)
+ */
+DebugOverlay.help = [
+  '` overlay  F freeze  N step',
+  '1/2/3 spawn bug  B bonus',
+  'I invulnerable  L skip level'
+];
+
+/**
+ * Show or hide the overlay - the simulation goes on once it is hidden
+ */
+DebugOverlay.prototype.toggle = function() {
+  this.visible = !this.visible;
+  if (!this.visible) {
+    this.frozen = false;
+  }
+};
+
+/**
+ * Freeze the simulation (or let it go on)
+ */
+DebugOverlay.prototype.toggleFreeze = function() {
+  this.frozen = !this.frozen;
+  this.pendingSteps_ = 0;
+};
+
+/**
+ * Let the frozen simulation take one more step
+ */
+DebugOverlay.prototype.requestStep = function() {
+  if (this.frozen) {
+    this.pendingSteps_ += 1;
+  }
+};
+
+/**
+ * @param {number} steps - how many steps the game loop is about to take
+ * @return {number} how many steps it should take (none while frozen -
+ *     unless asked to step)
+ */
+DebugOverlay.prototype.steps = function(steps) {
+  if (!this.frozen) {
+    return steps;
+  }
+  steps = this.pendingSteps_;
+  this.pendingSteps_ = 0;
+  return steps;
+};
+
+/**
+ * Count the frame in
+ * @param {number} interval - time since the previous frame (in seconds)
+ * @param {number} busy - time spent on this frame (in ms)
+ */
+DebugOverlay.prototype.measure = function(interval, busy) {
+  this.frames_ += 1;
+  this.elapsed_ += interval;
+  this.busy_ += busy;
+
+  if (this.elapsed_ >= DebugOverlay.SAMPLE_TIME) {
+    this.fps = this.frames_ / this.elapsed_;
+    this.frameTime = this.busy_ / this.frames_;
+    this.frames_ = 0;
+    this.elapsed_ = 0;
+    this.busy_ = 0;
+  }
+};
+
+/**
+ * Draw the bounding boxes of the entities and the panel with the stats
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ * @param {World} world - the world shown
+ * @param {Array.<string>} lines - what the game has to say about itself
+ */
+DebugOverlay.prototype.render = function(ctx, world, lines) {
+  world.query().forEach(function(entity) {
+    if (entity.debugRender) {
+      entity.debugRender(ctx);
+    }
+  });
+
+  lines = [
+    this.fps.toFixed(0) + ' FPS  ' + this.frameTime.toFixed(2) + ' ms' +
+        (this.frozen ? '  FROZEN' : ''),
+    'entities ' + world.query().length +
+        '  enemies ' + world.query('enemy').length +
+        '  bonuses ' + world.query('bonus').length
+  ].concat(lines, DebugOverlay.help);
+
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(0, 40, 260, 10 + lines.length * 16);
+  ctx.fillStyle = 'lime';
+  ctx.font = '12px monospace';
+  ctx.textAlign = 'left';
+  lines.forEach(function(line, i) {
+    ctx.fillText(line, 8, 56 + i * 16);
+  });
+  ctx.restore();
+};
+
+export {DebugOverlay};
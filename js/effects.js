@@ -0,0 +1,140 @@
+/* Effects.js
+ * Status effects - timed modifications of an entity (the player or
+ * any enemy). Effects never touch the properties of their owner directly:
+ * they only provide modifiers (multipliers) and flags which the owner
+ * takes into account, so an expired effect is reverted just by dropping it.
+ */
+
+/**
+ * An effect applied to an entity
+ * @constructor
+ * @param {string} type - one of Effect.types
+ * @param {number} duration - how long (in seconds) the effect lasts
+ */
+var Effect = function(type, duration) {
+  this.type = type;
+
+  // description of the effect (see Effect.types)
+  this.def = Effect.types[type];
+
+  // full duration and the time left (in seconds)
+  this.duration = duration || this.def.duration;
+  this.timeLeft = this.duration;
+
+  // how many times the effect is stacked (for 'stack' effects)
+  this.stacks = 1;
+};
+
+/**
+ * Known effects:
+ * - name - shown on the HUD
+ * - icon - image to show on the HUD
+ * - color - color of the HUD text (and of the bonus bringing the effect)
+ * - duration - default duration in seconds
+ * - stacking - what happens when the effect is applied again while active:
+ *   - 'refresh' - the timer starts over
+ *   - 'extend' - the duration is added to the time left
+ *   - 'stack' - the modifiers are applied once more (up to maxStacks times)
+ *     and the timer starts over
+ *   - 'ignore' - nothing happens
+ * - modifiers - multipliers of owner properties (speed, size, time)
+ * - flags - boolean properties of the owner (e.g. invulnerable)
+ */
+Effect.types = {
+  speed: {
+    name: 'SPEED',
+    icon: 'images/Star.png',
+    color: 'gold',
+    duration: 5,
+    // another star keeps the hero going longer - never faster
+    stacking: 'refresh',
+    modifiers: {speed: 1.5}
+  },
+  invulnerable: {
+    name: 'SHIELD',
+    icon: 'images/Heart.png',
+    color: 'deepskyblue',
+    duration: 4,
+    stacking: 'refresh',
+    flags: {invulnerable: true}
+  },
+  slowTime: {
+    name: 'SLOW',
+    icon: 'images/Gem Blue.png',
+    color: 'lightgreen',
+    duration: 4,
+    stacking: 'extend',
+    // time flows slower for everybody else
+    modifiers: {time: 0.5}
+  },
+  shrink: {
+    name: 'SHRINK',
+    icon: 'images/Gem Orange.png',
+    color: 'orchid',
+    duration: 6,
+    stacking: 'ignore',
+    // collision box is smaller
+    modifiers: {size: 0.6}
+  }
+};
+
+/**
+ * @param {string} name - name of the modifier
+ * @return {number} multiplier provided by the effect (1 if none)
+ */
+Effect.prototype.modifier = function(name) {
+  var modifiers = this.def.modifiers;
+  if (!modifiers || modifiers[name] === undefined) {
+    return 1;
+  }
+  return Math.pow(modifiers[name], this.stacks);
+};
+
+/**
+ * @param {string} name - name of the flag
+ * @return {boolean} is the flag raised by the effect
+ */
+Effect.prototype.flag = function(name) {
+  return Boolean(this.def.flags && this.def.flags[name]);
+};
+
+/**
+ * Apply the effect once more according to its stacking rule
+ * @param {number} duration - duration of the new application
+ */
+Effect.prototype.reapply = function(duration) {
+  duration = duration || this.def.duration;
+
+  switch (this.def.stacking) {
+    case 'stack':
+      this.stacks = Math.min(this.stacks + 1, this.def.maxStacks || Infinity);
+      this.duration = this.timeLeft = Math.max(this.timeLeft, duration);
+      break;
+    case 'extend':
+      this.timeLeft += duration;
+      this.duration = Math.max(this.duration, this.timeLeft);
+      break;
+    case 'ignore':
+      break;
+    default:
+      // refresh
+      this.duration = this.timeLeft = duration;
+  }
+};
+
+/**
+ * Count down the time left
+ * @param {number} dt - a time delta between ticks
+ */
+Effect.prototype.update = function(dt) {
+  this.timeLeft -= dt;
+};
+
+/**
+ * @return {boolean} - is the effect still active?
+ */
+Effect.prototype.isAlive = function() {
+  return this.timeLeft > 0;
+};
+
+export {Effect};
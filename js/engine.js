@@ -9,76 +9,216 @@
  * drawn but that is not the case. What's really happening is the entire 'scene'
  * is being drawn over and over, presenting the illusion of animation.
  *
- * This engine is available globally via the Engine variable and it also makes
- * the canvas' context (ctx) object globally available to make writing app.js
- * a little simpler to work with.
+ * Every call of createEngine makes a separate game with a world of its own
+ * (see world.js) - nothing is shared but the images, so several games could
+ * run side by side on one page. The engine is given a canvas (or anything
+ * with width and height) and the renderer to draw with - in a browser
+ * js/main.js hooks it up to the page, elsewhere (e.g. in Node) the game
+ * could be stepped manually, without any DOM (see test/headless.js).
  */
+import * as Resources from './resources.js';
+import {Random} from './random.js';
+import {Effect} from './effects.js';
+import {Recorder, Replay} from './recorder.js';
+import {WrappingEnemy, BouncingEnemy, WildEnemy, Rock, Log, Turtles,
+        MultiText, Chronos, GameState, Hud, StarBonus, GemBonus, HeartBonus,
+        KeyBonus, Player, Remains} from './app.js';
+import {Levels} from './levels.js';
+import {World} from './world.js';
+import {Lane} from './traffic.js';
+import {DebugOverlay} from './debug.js';
+import {Input} from './input.js';
+import {Bindings} from './bindings.js';
+import {AudioManager} from './audio.js';
 
-var Engine = (function(global) {
-  /* Predefine the variables we'll be using within this scope,
-   * create the canvas element, grab the 2D context for that canvas
-   * set the canvas elements height/width and add it to the DOM.
+/**
+ * Create a game
+ * @param {{canvas: Object, ctx: Object, clock: Object, seed: number,
+ *          precise: boolean, movement: string, storage: Storage}} options -
+ *     canvas (or anything with width and height), its 2d context (or
+ *     anything with the same drawing methods), the clock ({now:
+ *     function(): number, schedule: function(function())}) which is needed
+ *     only to run the game loop, the seed every run should start with
+ *     (a random one for every run if omitted), whether the collisions
+ *     should compare the true shapes of the sprites (hitboxes) rather than
+ *     their bounding boxes, how the hero moves ('grid' - hopping from tile
+ *     to tile like in the classic Frogger, the default - or 'free') and
+ *     where the settings (key bindings and volumes) are kept (e.g.
+ *     localStorage - they last until the game is gone if omitted)
+ * @return {Object} the game (see the end of this function)
+ */
+function createEngine(options) {
+  /* Predefine the variables we'll be using within this scope.
+   * The canvas and its context (the renderer) are given by the options,
+   * the document and the window are known once the game is attached
+   * to the page (see attach).
    */
-  var doc = global.document;
-  var win = global.window;
-  var canvas = doc.createElement('canvas');
-  var ctx = canvas.getContext('2d');
+  var doc = null;
+  var win = null;
+  var canvas = options.canvas;
+  var ctx = options.ctx || canvas.getContext('2d');
   var lastTime;
 
+  // source of the time and of the frames - {now, schedule}
+  var clock = options.clock;
+
+  // a seed given to the game (e.g. ?seed=123) makes every run the same
+  var fixedSeed = options.seed;
+
+  // everything living on the board - along with the game's own dice
+  var world = new World(505, 606, new Random(fixedSeed));
+  world.collisions.precise = !!options.precise;
+
+  // the simulation runs in fixed steps (in seconds) no matter the frame rate
+  var STEP = 1 / 60;
+
+  // longest time (in seconds) simulated in a single frame - anything
+  // longer (e.g. after switching tabs) is dropped rather than caught up
+  var MAX_FRAME_TIME = 0.25;
+
+  // time (in seconds) not simulated yet
+  var accumulator = 0;
+
   // setting this to true would reset the game on the next frame
   var resetRequest = false;
 
   // this parameter will be passed to reset function upon resetRequest
   var resetParam;
 
-  canvas.width = 505;
-  canvas.height = 606;
-  doc.body.appendChild(canvas);
+  // index of the level being played (in Levels.list)
+  var levelIndex = 0;
+
+  // lives and score - these survive level resets
+  var gameState = new GameState();
+
+  // the hero chosen on the character selection screen (in Player.characters)
+  var characterIndex = 0;
+
+  // how the hero moves - could be changed on the selection screen as well
+  var movement = options.movement || 'grid';
+
+  // the current state of the game (one of the states defined below)
+  var state;
+
+  // name of the current state
+  var stateName;
+
+  // movement input waiting for the next simulation step
+  var pendingInput = [];
+
+  // keys of the actions - the players could rebind them (see bindings.js)
+  var bindings = new Bindings(options.storage);
+
+  // the keyboard, gamepads and touches turned into actions (see onAction)
+  var controls = new Input(bindings, onAction);
+
+  // sound effects and music (see audio.js)
+  var audio = new AudioManager(options.storage);
+
+  // images and sounds the game needs (see preload), the ones which could
+  // not be loaded and what to do once they are all done with
+  var assets = [];
+  var missingAssets = [];
+  var afterLoading = null;
+
+  // stops the loading screen from following the progress of the loading
+  var stopProgress = null;
+
+  // number of the (playing) simulation step of the current run
+  var tick = 0;
+
+  // records the input of the current run
+  var recorder = null;
+
+  // the recording being played back (if any)
+  var replay = null;
+
+  // developer overlay (see debug.js)
+  var debug = new DebugOverlay();
+
+  // nothing hurts the player - a developer's cheat (see commands)
+  var invulnerable = false;
+
+  // what the last command refused to do (shown on the developer overlay)
+  var commandNotice = '';
 
   /**
-   * This function is used to 'post a request' for resetting the game
+   * This function is used to 'post a request' for resetting the game -
+   * a failure wins over a success requested within the same step (e.g.
+   * the hero hit right on the goal line is hit)
    * @param {boolean} arg - the value that will be passed to reset
    */
   function requestReset(arg) {
+    resetParam = resetRequest ? resetParam && arg : arg;
     resetRequest = true;
-    resetParam = arg;
   }
 
   /* This function serves as the kickoff point for the game loop itself
    * and handles properly calling the update and render methods.
    */
   function main() {
-    if (resetRequest) {
-      reset(resetParam);
+    /* Get our time delta information. Because everyone's computer
+     * processes instructions at different speeds the simulation does not
+     * use it directly: it is accumulated and the game is advanced
+     * in fixed steps, so it behaves the same on every display.
+     */
+    var now = clock.now();
+    var interval = (now - lastTime) / 1000.0;
+    var frameTime = Math.min(interval, MAX_FRAME_TIME);
+    var steps = 0;
 
-      // clean up reset "state"
-      resetRequest = false;
-      resetParam = null;
+    // gamepads have no events - they are read every frame
+    if (win && win.navigator.getGamepads) {
+      controls.pollGamepads(win.navigator.getGamepads());
+    }
+
+    accumulator += frameTime;
+    while (accumulator >= STEP) {
+      steps += 1;
+      accumulator -= STEP;
+    }
+
+    // the developer may have frozen the simulation
+    for (steps = debug.steps(steps); steps > 0; steps--) {
+      step();
     }
-    /* Get our time delta information which is required if your game
-     * requires smooth animation. Because everyone's computer processes
-     * instructions at different speeds we need a constant value that
-     * would be the same for everyone (regardless of how fast their
-     * computer is) - hurray time!
-     */
-    var now = Date.now();
-    var dt = (now - lastTime) / 1000.0;
 
-    /* Call our update/render functions, pass along the time delta to
-     * our update function since it may be used for smooth animation.
+    /* Render the current state - in between the last two simulation steps
+     * (the part of the step already accumulated tells how far in between).
      */
-    update(dt);
-    render();
+    renderFrame(accumulator / STEP);
+    debug.measure(interval, clock.now() - now);
 
     /* Set our lastTime variable which is used to determine the time delta
      * for the next time this function is called.
      */
     lastTime = now;
 
-    /* Use the browser's requestAnimationFrame function to call this
-     * function again as soon as the browser is able to draw another frame.
+    /* Use the clock (the browser's requestAnimationFrame function) to call
+     * this function again as soon as the browser is able to draw another
+     * frame.
      */
-    win.requestAnimationFrame(main);
+    clock.schedule(main);
+  }
+
+  /* This function advances the game by one fixed step: handles the pending
+   * reset and calls the update function of the current state. Only the
+   * playing state actually advances the game, all the others keep the board
+   * frozen.
+   */
+  function step() {
+    if (resetRequest) {
+      reset(resetParam);
+
+      // clean up reset "state"
+      resetRequest = false;
+      resetParam = null;
+    }
+
+    // remember where everybody was - rendering interpolates from there
+    world.savePositions();
+
+    state.update(STEP);
   }
 
   /* This function does some initial setup that should only occur once,
@@ -86,11 +226,33 @@ var Engine = (function(global) {
    * game loop.
    */
   function init() {
-    reset();
-    lastTime = Date.now();
+    boot();
+
+    lastTime = clock.now();
+    accumulator = 0;
     main();
   }
 
+  /* This function brings the game to the title screen - the first level
+   * serves as a backdrop for it.
+   */
+  function boot() {
+    world.random.seed(fixedSeed);
+    loadLevel(Levels.list[0], []);
+    setState('title');
+  }
+
+  /**
+   * Advance the game by the given time - in fixed steps
+   * @param {number} seconds - how much time should pass
+   */
+  function advance(seconds) {
+    var steps = Math.round(seconds / STEP);
+    for (var i = 0; i < steps; i++) {
+      step();
+    }
+  }
+
   /* This function is called by main (our game loop) and itself calls all
    * of the functions which may need to update entity's data. Based on how
    * you implement your collision detection (when two entities occupy the
@@ -101,49 +263,136 @@ var Engine = (function(global) {
    * on the entities themselves within your app.js file).
    */
   function update(dt) {
-    updateEntities(dt);
+    world.update(dt);
     checkCollisions();
   }
 
   function checkCollisions() {
+    var player = world.player;
+
+    // whoever is touching is hit again by the collision callbacks
     player.unhit();
-    for (var i = 0, l = allEnemies.length; i < l; i++) {
-      allEnemies[i].unhit();
-      player.collide(allEnemies[i]);
+    world.query('enemy').forEach(function(enemy) {
+      enemy.unhit();
+    });
+    carrier = null;
+    world.collide();
+
+    // the river carries the hero along - unless they fall into it
+    // (or are carried off the screen)
+    if (carrier) {
+      player.ride(carrier);
     }
-    // restart the game on failure
-    if (player.isHit()) {
+    if ((player.isOffScreen() || drowns(player)) && !invulnerable) {
+      audio.play('splash');
+      requestReset(false);
+    }
+
+    // restart the game on failure (unless the player is invulnerable)
+    if (player.isHit() && !player.hasFlag('invulnerable') && !invulnerable) {
+      audio.play('hit');
       requestReset(false);
     }
-    // restart the game on success as well
+    // restart the game on success as well - a locked gate throws the hero
+    // back instead
     if (player.reachedWater()) {
-      requestReset(true);
+      if (goalOpen()) {
+        audio.play('goal');
+        requestReset(true);
+      } else {
+        bounceOffGate();
+      }
     }
   }
 
-  /* This is called by the update function  and loops through all of the
-   * objects within your allEnemies array as defined in app.js and calls
-   * their update() methods. It will then call the update function for your
-   * player object. These update methods should focus purely on updating
-   * the data/properties related to  the object. Do your drawing in your
-   * render methods.
+  /**
+   * Throw the hero back off the locked gate - to the row below it (and
+   * tell the players what is missing)
    */
-  function updateEntities(dt) {
-    allEnemies.forEach(function(enemy) {
-      enemy.update(dt);
-    });
-    player.update(dt);
+  function bounceOffGate() {
+    world.player.y = playerRowY(level.goalRow + 1);
+    if (!gateNotice || !gateNotice.isAlive()) {
+      gateNotice = world.spawn(new MultiText(['FIND THE KEY'], world.width),
+                               {layer: 'text'});
+    }
+  }
+
+  /**
+   * Mark both the player and the enemy touching each other as hit
+   * @param {Player} player - our hero
+   * @param {Enemy} enemy - the enemy touching the hero
+   */
+  function bump(player, enemy) {
+    player.hit();
+    enemy.hit();
+  }
 
-    var survivors = [];
-    critters.forEach(function(thing) {
-      if (thing.isAlive()) {
-        // keep this critter (for the next frame at least) if it's alive
-        survivors.push(thing);
-        // make sure it does its thing too
-        thing.update(dt);
+  // the hero is hit for as long as an enemy touches them (so it hurts
+  // once the invulnerability is over) and picks up the bonuses reached
+  world.collisions.on('player', 'enemy', {enter: bump, stay: bump});
+  world.collisions.on('player', 'pickup', {
+    enter: function(player, bonus) {
+      if (bonus.isAlive()) {
+        bonus.applyBonus(player, gameState);
+        audio.play('bonus');
       }
-    });
-    critters = survivors;
+    }
+  });
+
+  // the platform carrying the hero on this step (if any)
+  var carrier = null;
+
+  /**
+   * Let the platform carry the player standing on it - the one hopping
+   * is up in the air
+   * @param {Player} player - our hero
+   * @param {Platform} platform - the platform touching the hero
+   */
+  function board(player, platform) {
+    if (!carrier && !player.isHopping() && platform.carries(player)) {
+      carrier = platform;
+    }
+  }
+
+  world.collisions.on('player', 'platform', {enter: board, stay: board});
+
+  /**
+   * @param {Player} player - our hero
+   * @return {boolean} - is the hero standing in the river (with no platform
+   *     to carry them)?
+   */
+  function drowns(player) {
+    if (carrier || player.isHopping()) {
+      return false;
+    }
+    var cell = playerCell();
+    return isRiver(level, cell.col, cell.row);
+  }
+
+  /**
+   * Gated goal tiles could only be passed if the player carries a key
+   * @return {boolean} - can the player pass the goal tile above them?
+   */
+  function goalOpen() {
+    return world.player.hasKey ||
+           !isLocked(level, playerCell().col, level.goalRow);
+  }
+
+  /**
+   * @return {{col: number, row: number}} the cell of the grid the hero
+   *     stands in (the nearest one when walking freely)
+   */
+  function playerCell() {
+    var player = world.player;
+    var bounds = player.rectBounds;
+    var center = player.x + (bounds.left + bounds.right) / 2;
+    var row = Math.round((player.y - playerRowY(0)) / TILE_HEIGHT);
+
+    return {
+      col: Math.min(Math.max(Math.floor(center / TILE_WIDTH), 0),
+                    level.cols - 1),
+      row: Math.min(Math.max(row, 0), level.rows - 1)
+    };
   }
 
   /* This function initially draws the 'game level', it will then call
@@ -152,30 +401,17 @@ var Engine = (function(global) {
    * they are flipbooks creating the illusion of animation but in reality
    * they are just drawing the entire screen over and over.
    */
-  function render() {
-    /* This array holds the relative URL to the image used
-     * for that particular row of the game level.
-     */
-    var rowImages = [
-      'images/water-block.png',   // Top row is water
-      'images/stone-block.png',   // Row 1 of 3 of stone
-      'images/stone-block.png',   // Row 2 of 3 of stone
-      'images/stone-block.png',   // Row 3 of 3 of stone
-      'images/grass-block.png',   // Row 1 of 2 of grass
-      'images/grass-block.png'    // Row 2 of 2 of grass
-    ];
-    var numRows = 6;
-    var numCols = 5;
+  function render(alpha) {
     var row, col;
 
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    /* Loop through the number of rows and columns we've defined above
-     * and, using the rowImages array, draw the correct image for that
+    /* Loop through the rows and columns of the current level and,
+     * using the tile legend, draw the correct image for that
      * portion of the 'grid'
      */
-    for (row = 0; row < numRows; row++) {
-      for (col = 0; col < numCols; col++) {
+    for (row = 0; row < level.rows; row++) {
+      for (col = 0; col < level.cols; col++) {
         /* The drawImage function of the canvas' context element
          * requires 3 parameters: the image to draw, the x coordinate
          * to start drawing and the y coordinate to start drawing.
@@ -183,98 +419,1435 @@ var Engine = (function(global) {
          * so that we get the benefits of caching these images, since
          * we're using them over and over.
          */
-        ctx.drawImage(Resources.get(rowImages[row]), col * 101, row * 83);
+        ctx.drawImage(Resources.get(tileImage(level, col, row)),
+                      col * TILE_WIDTH, row * TILE_HEIGHT);
+
+        // mark the gates which are still locked with a key
+        if (!world.player.hasKey && isLocked(level, col, row)) {
+          ctx.save();
+          ctx.globalAlpha = 0.6;
+          ctx.drawImage(Resources.get('images/Key.png'),
+                        30, 57, 43, 86,
+                        col * TILE_WIDTH + 40, row * TILE_HEIGHT + 70, 22, 43);
+          ctx.restore();
+        }
       }
     }
 
-    renderEntities();
+    // everybody living on the board - layer by layer
+    world.render(ctx, alpha);
+
+    if (replay) {
+      ctx.save();
+      ctx.fillStyle = 'red';
+      ctx.textAlign = 'center';
+      ctx.font = '16px fantasy';
+      ctx.fillText('REPLAY', canvas.width / 2, canvas.height - 25);
+      ctx.restore();
+    }
   }
 
-  /* This function is called by the render function and is called on each game
-   * tick. It's purpose is to then call the render functions you have defined
-   * on your enemy and player entities within app.js
+  /**
+   * Render the current state of the game - and the developer overlay
+   * on top of it (if shown)
+   * @param {number} alpha - how far in between the last two simulation
+   *     steps (0 - previous, 1 - current)
    */
-  function renderEntities() {
-    /* Loop through all of the objects within the allEnemies array and call
-     * the render function you have defined.
-     */
-    allEnemies.forEach(function(enemy) {
-      enemy.render();
+  function renderFrame(alpha) {
+    state.render(alpha);
+    controls.render(ctx);
+
+    if (debug.visible) {
+      debug.render(ctx, world, [
+        'seed ' + world.random.getSeed() +
+            '  level ' + (levelIndex + 1) + '/' + Levels.list.length,
+        stateName + '  tick ' + tick + (invulnerable ? '  INVULNERABLE' : '')
+      ].concat(commandNotice ? [commandNotice] : []));
+    }
+  }
+
+  /**
+   * Draw a full screen message on top of the (frozen) board
+   * @param {string} title - big headline
+   * @param {string} color - color of the headline
+   * @param {Array.<string>} lines - smaller text below the headline
+   */
+  function renderScreen(title, color, lines) {
+    ctx.save();
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = color;
+    ctx.textAlign = 'center';
+    ctx.font = '50px fantasy';
+    ctx.fillText(title, canvas.width / 2, canvas.height / 2 - 20);
+
+    ctx.fillStyle = 'white';
+    ctx.font = '20px fantasy';
+    lines.forEach(function(line, i) {
+      ctx.fillText(line, canvas.width / 2, canvas.height / 2 + 20 + i * 30);
     });
 
-    player.render();
+    ctx.restore();
+  }
+
+  /**
+   * Draw the character selection screen on top of the (frozen) board:
+   * all the heroes in a row, the chosen one standing on the selector
+   */
+  function renderSelect() {
+    var character = Player.characters[characterIndex];
+    var count = Player.characters.length;
+    var spacing = canvas.width / count;
 
-    critters.forEach(function(thing) {
-      thing.render();
+    renderScreen('CHOOSE HERO', 'white', [
+      character.name,
+      'Use ' + bindings.labelOf('left') + '/' + bindings.labelOf('right') +
+          ' to choose',
+      'Movement: ' + ((movement === 'grid') ? 'HOP' : 'FREE') +
+          ' (' + bindings.labelOf('movement') + ' to change)',
+      'Press ' + bindings.labelOf('confirm') + ' to play'
+    ]);
+
+    Player.characters.forEach(function(hero, i) {
+      var x = i * spacing + (spacing - TILE_WIDTH) / 2;
+      if (i === characterIndex) {
+        ctx.drawImage(Resources.get('images/Selector.png'), x, 40);
+      }
+      ctx.drawImage(Resources.get(hero.sprite), x, 40);
     });
   }
 
-  // y-values of rows - to make spawning of enemies 'easier'
-  var rows = [-20, 60, 146, 226, 300, 405];
+  // tile dimensions (as they are drawn on the board)
+  var TILE_WIDTH = 101;
+  var TILE_HEIGHT = 83;
+
+  // extra canvas height needed to show the bottom row tiles in full
+  var BOARD_MARGIN = 108;
+
+  // enemy types which could be used in level definitions
+  var enemyTypes = {
+    wrapping: WrappingEnemy,
+    bouncing: BouncingEnemy,
+    wild: WildEnemy
+  };
+
+  // obstacle types which could be used in level definitions
+  var obstacleTypes = {
+    rock: Rock
+  };
+
+  // platform types which could be used in level definitions
+  var platformTypes = {
+    log: Log,
+    turtles: Turtles
+  };
+
+  // bonus types which could be used in level definitions
+  // (each one creates the bonus from its position and description)
+  var bonusTypes = {
+    star: function(x, y, spawn) {
+      return new StarBonus(x, y, spawn.effect);
+    },
+    gem: function(x, y, spawn) {
+      return new GemBonus(x, y, spawn.color);
+    },
+    heart: function(x, y) {
+      return new HeartBonus(x, y);
+    },
+    key: function(x, y) {
+      return new KeyBonus(x, y);
+    }
+  };
+
+  // the level being played
+  var level;
+
+  // time keeper of the level being played
+  var chronos;
+
+  // message shown once the hero runs into a locked gate
+  var gateNotice = null;
+
+  // points for completing a level (multiplied by the level number)
+  var LEVEL_POINTS = 100;
+
+  // points for every second left on the clock when the level is completed
+  var TIME_POINTS = 10;
+
+  /**
+   * @param {Object} lvl - level definition
+   * @param {number} col - column of the cell
+   * @param {number} row - row of the cell
+   * @return {string} image used to draw the cell
+   */
+  function tileImage(lvl, col, row) {
+    return Levels.tiles[lvl.tiles[row].charAt(col)];
+  }
+
+  /**
+   * @param {Object} lvl - level definition
+   * @param {number} col - column of the cell
+   * @param {number} row - row of the cell
+   * @return {boolean} - is the cell a gate locked until the key is found?
+   */
+  function isLocked(lvl, col, row) {
+    return Levels.locked.indexOf(lvl.tiles[row].charAt(col)) !== -1;
+  }
+
+  /**
+   * @param {Object} lvl - level definition
+   * @param {number} col - column of the cell
+   * @param {number} row - row of the cell
+   * @return {boolean} - is the cell a river the player drowns in?
+   */
+  function isRiver(lvl, col, row) {
+    return Levels.river.indexOf(lvl.tiles[row].charAt(col)) !== -1;
+  }
+
+  /**
+   * y-value of the enemy (or bonus) sprite standing in a given row
+   * @param {number} row - row of the grid
+   * @return {number}
+   */
+  function enemyRowY(row) {
+    return row * TILE_HEIGHT - 23;
+  }
+
+  /**
+   * y-value of the player sprite standing in a given row
+   * @param {number} row - row of the grid
+   * @return {number}
+   */
+  function playerRowY(row) {
+    return row * TILE_HEIGHT - 10;
+  }
 
   // generate random integer between 0 and range-1
   function randomInt(range) {
-    return Math.floor(Math.random() * range);
+    return world.random.int(range);
   }
 
   /**
-   * Spawn a random type enemy at specified row
+   * Spawn an enemy described by the level
+   * @param {{type: string, row: number, speed: number,
+   *          direction: string, x: number}} spawn - enemy description
+   * @return {Enemy}
    */
-  function randomEnemy(row) {
-    var enemyTypes = [WrappingEnemy, BouncingEnemy, WildEnemy];
-    var enemy = enemyTypes[randomInt(enemyTypes.length)];
-    var x = randomInt(canvas.width);
-    return new enemy(x, rows[row]);
+  function spawnEnemy(spawn) {
+    var type = spawn.type;
+    if (type === 'random') {
+      var names = Object.keys(enemyTypes);
+      type = names[randomInt(names.length)];
+    }
+
+    var x = (spawn.x === undefined) ? randomInt(world.width) : spawn.x;
+    var enemy = new enemyTypes[type](x, enemyRowY(spawn.row));
+
+    if (spawn.speed !== undefined) {
+      enemy.speed = spawn.speed;
+    }
+    if (spawn.direction === 'left') {
+      enemy.goingRight = false;
+    }
+    return enemy;
   }
 
-  /* This function does nothing but it could have been a good place to
-   * handle game reset states - maybe a new game menu or a game over screen
-   * those sorts of things. It's only called once by the init() method.
+  /**
+   * Spawn an obstacle described by the level
+   * @param {{type: string, col: number, row: number}} spawn -
+   *     obstacle description
+   * @return {Enemy}
    */
-  function reset(success) {
-    // create new enemies of random type
-    allEnemies = [];
-    for (var i = 0; i < 3; i += 1) {
-      allEnemies.push(randomEnemy(i + 1));
+  function spawnObstacle(spawn) {
+    return new obstacleTypes[spawn.type || 'rock'](spawn.col * TILE_WIDTH,
+                                                   enemyRowY(spawn.row));
+  }
+
+  /**
+   * Spawn a platform described by the level
+   * @param {{type: string, row: number, length: number, speed: number,
+   *          direction: string, x: number, phase: number}} spawn -
+   *     platform description
+   * @return {Platform}
+   */
+  function spawnPlatform(spawn) {
+    var x = (spawn.x === undefined) ? randomInt(world.width) : spawn.x;
+    var platform = new platformTypes[spawn.type](x, enemyRowY(spawn.row),
+                                                 spawn.length, spawn.phase);
+
+    if (spawn.speed !== undefined) {
+      platform.speed = spawn.speed;
+    }
+    if (spawn.direction === 'left') {
+      platform.goingRight = false;
     }
+    return platform;
+  }
+
+  /**
+   * Spawn a bonus described by the level - bonuses with a row
+   * stay on their tile, the rest fall down from the top of the screen
+   * @param {{type: string, col: number, row: number, color: string,
+   *          effect: string}} spawn - bonus description
+   * @return {Bonus}
+   */
+  function spawnBonus(spawn) {
+    var x = (spawn.col === undefined) ?
+        randomInt(world.width - TILE_WIDTH) : spawn.col * TILE_WIDTH;
+    var falling = (spawn.row === undefined);
+    var y = falling ? 10 : enemyRowY(spawn.row);
+    var bonus = bonusTypes[spawn.type](x, y, spawn);
+
+    bonus.falling = falling;
+    return bonus;
+  }
+
+  /**
+   * Build the board and all the entities of the level
+   * @param {Object} lvl - level definition (see levels.js)
+   * @param {Array.<string>} messages - instructive messages to show
+   */
+  function loadLevel(lvl, messages) {
+    level = lvl;
+
+    // every level (and every retry of it) starts the same random sequence
+    world.random.restart(levelIndex);
+
+    // the board (and so the canvas) takes the size of the level
+    canvas.width = level.cols * TILE_WIDTH;
+    canvas.height = level.rows * TILE_HEIGHT + BOARD_MARGIN;
+    world.reset(canvas.width, canvas.height);
+
+    // place obstacles - these never move
+    (level.obstacles || []).forEach(function(spawn) {
+      world.spawn(spawnObstacle(spawn),
+                  {tags: ['obstacle'], collision: 'obstacle'});
+    });
+
+    // platforms float on the river - below everybody standing on them
+    (level.platforms || []).forEach(function(spawn) {
+      world.spawn(spawnPlatform(spawn), {layer: 'ground', tags: ['platform'],
+                                         collision: 'platform'});
+    });
+
+    // create enemies - bouncing ones bounce off the obstacles
+    (level.enemies || []).forEach(addEnemy);
+
+    // lanes keep emitting enemies of their own
+    (level.lanes || []).forEach(function(lane) {
+      world.spawn(new Lane(lane, addEnemy), {tags: ['lane']});
+    });
+
     // spawn new player
-    player = new Player(202, rows[5]);
+    var player = new Player(level.player.col * TILE_WIDTH,
+                            playerRowY(level.player.row),
+                            Player.characters[characterIndex].id,
+                            movement);
+    player.goalY = playerRowY(level.goalRow);
+    gateNotice = null;
+    player.obstacles = world.query('obstacle');
+    world.player = world.spawn(player,
+                               {tags: ['player'], collision: 'player'});
+
+    chronos = new Chronos(level.time,
+                          function() {
+                            audio.play('timeout');
+                            requestReset(false);
+                          },
+                          function() {
+                            audio.play('warning');
+                          });
+
+    // the music of the level goes on through its retries
+    audio.setTrack(level.music || AudioManager.tracks[0]);
 
-    // prepare instructive messages
-    var messages = ['REACH', 'THAT', 'WATER'];
+    // texts, timer and HUD are drawn above everything else
+    world.spawn(chronos, {layer: 'text'});
+    world.spawn(new MultiText(messages, world.width), {layer: 'text'});
+    world.spawn(new Hud(gameState, world, levelIndex + 1, Levels.list.length),
+                {layer: 'text'});
+
+    level.bonuses.forEach(addBonus);
+  }
+
+  /**
+   * Spawn an enemy described by the level into the world - bouncing ones
+   * bounce off the obstacles
+   * @param {{type: string, row: number, speed: number,
+   *          direction: string, x: number}} spawn - enemy description
+   * @return {Enemy} the enemy spawned
+   */
+  function addEnemy(spawn) {
+    var enemy = spawnEnemy(spawn);
+    enemy.obstacles = world.query('obstacle');
+    return world.spawn(enemy, {tags: ['enemy'], collision: 'enemy'});
+  }
+
+  /**
+   * Spawn a bonus described by the level into the world
+   * @param {{type: string, col: number, row: number, color: string,
+   *          effect: string}} spawn - bonus description
+   */
+  function addBonus(spawn) {
+    world.spawn(spawnBonus(spawn), {tags: ['bonus'], collision: 'pickup'});
+  }
+
+  /* This function handles the campaign progression: reaching the goal
+   * completes the level (or the whole campaign after the last one),
+   * while failure costs a life and retries the current level
+   * (or ends the run if there are no lives left).
+   * @param {boolean} success - was the goal of the current level reached
+   */
+  function reset(success) {
     if (success) {
-      messages = ['CONGRATULATIONS!', 'NOW'].concat(messages);
-    }
-
-    // create critters
-    critters = [
-      new Chronos(10,
-                  function() {
-                    requestReset();
-                  }),
-      new MultiText(messages),
-      new Bonus(randomInt(400), 10)
-    ];
-   }
-
-  /* Go ahead and load all of the images we know we're going to need to
-   * draw our game level. Then set init as the callback method, so that when
-   * all of these images are properly loaded our game will start.
-   */
-  Resources.load([
-    'images/stone-block.png',
-    'images/water-block.png',
-    'images/grass-block.png',
-    'images/enemy-bug.png',
-    'images/char-boy.png',
-    'images/Star.png'
-  ]);
-  Resources.onReady(init);
-
-  /* Assign the canvas' context object to the global variable (the window
-   * object wen run in a browser) so that developer's can use it more easily
-   * from within their app.js files.
-   */
-  global.ctx = ctx;
-  global.canvas = canvas;
-})(this);
+      gameState.addScore(LEVEL_POINTS * (levelIndex + 1) +
+                         TIME_POINTS * chronos.timeLeft());
+
+      // the board stays as it is - the next screen is shown on top
+      if (levelIndex + 1 < Levels.list.length) {
+        setState('levelComplete');
+      } else {
+        setState('victory');
+      }
+    } else {
+      // the hero dies where they were - while the level starts over
+      var remains = new Remains(world.player);
+
+      gameState.loseLife();
+
+      if (gameState.isOver()) {
+        // the board stays as it is - the game over screen is shown on top
+        setState('gameOver');
+      } else {
+        loadLevel(Levels.list[levelIndex], ['REACH', 'THAT', 'WATER']);
+        world.spawn(remains);
+      }
+    }
+  }
+
+  /**
+   * Start a fresh run of the campaign
+   * @param {number} seed - random seed of the run (random if omitted)
+   * @param {number} startLevel - index of the level to start with
+   */
+  function startRun(seed, startLevel) {
+    world.random.seed(seed);
+
+    levelIndex = startLevel || 0;
+    gameState = new GameState();
+    loadLevel(Levels.list[levelIndex],
+              ['LEVEL ' + (levelIndex + 1), 'REACH', 'THAT', 'WATER']);
+
+    // the run is recorded from its very first step
+    tick = 0;
+    pendingInput = [];
+    controls.touchMode = (movement === 'grid') ? 'swipe' : 'joystick';
+    recorder = new Recorder(world.random.getSeed(), levelIndex,
+                            Player.characters[characterIndex].id, STEP,
+                            movement);
+
+    setState('playing');
+  }
+
+  /**
+   * Play a recorded run back
+   * @param {Object} data - the recording (see recorder.js)
+   */
+  function playback(data) {
+    var recording;
+    try {
+      recording = new Replay(data, Levels.list.length);
+    } catch (e) {
+      world.spawn(new MultiText(['INVALID', 'RECORDING'], world.width),
+                  {layer: 'text'});
+      return;
+    }
+
+    characterIndex = Math.max(0, Player.characters.indexOf(
+        Player.character(recording.character)));
+    movement = recording.movement;
+    startRun(recording.seed, recording.level);
+    replay = recording;
+  }
+
+  /**
+   * Queue the movement input to be applied on the next simulation step
+   * (live input is ignored while a recording is played back)
+   * @param {string} action - one of movements or 'stop'
+   * @param {boolean} pressed - is it keypress or keyrelease
+   */
+  function queueInput(action, pressed) {
+    if (!replay) {
+      pendingInput.push({action: action, pressed: pressed});
+    }
+  }
+
+  /**
+   * Feed the input of the current step to the player - either the live
+   * input (which gets recorded) or the one of the recording being played
+   */
+  function applyInput() {
+    var events = replay ? replay.eventsAt(tick) : pendingInput;
+    pendingInput = [];
+
+    events.forEach(function(event) {
+      if (!replay) {
+        recorder.record(tick, event.action, event.pressed);
+      }
+
+      if (event.action === 'stop') {
+        world.player.stop();
+      } else {
+        world.player.handleInput(event.action, event.pressed);
+      }
+    });
+  }
+
+  /**
+   * Let the player pick a recording (JSON file) to play back
+   */
+  function openRecording() {
+    var input = doc.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', function() {
+      if (input.files.length) {
+        readRecording(input.files[0]);
+      }
+    });
+    input.click();
+  }
+
+  /**
+   * Read the recording from a file and play it back
+   * @param {File} file - JSON file with the recording
+   */
+  function readRecording(file) {
+    var reader = new FileReader();
+    reader.onload = function() {
+      var data;
+      try {
+        data = JSON.parse(reader.result);
+      } catch (e) {
+        data = null;
+      }
+      playback(data);
+    };
+    reader.readAsText(file);
+  }
+
+  /**
+   * Move on to the next level of the campaign
+   */
+  function nextLevel() {
+    // input queued in between the levels is applied to the new player
+    levelIndex += 1;
+    loadLevel(Levels.list[levelIndex], ['LEVEL ' + (levelIndex + 1)]);
+    setState('playing');
+  }
+
+  // keys of the recordings (reserved - see Bindings.reserved)
+  var KEY_SAVE_RECORDING = 'F8';
+  var KEY_OPEN_RECORDING = 'F9';
+
+  // rows of the controls screen - the actions and then the two below
+  var controlsRows = Object.keys(Bindings.defaults).concat(['reset', 'back']);
+
+  // rows of the sound screen - the volumes, muting and the way back
+  var soundRows = AudioManager.channels.concat(['muted', 'back']);
+
+  // names of the rows of the sound screen
+  var soundNames = {
+    master: 'Volume',
+    music: 'Music',
+    effects: 'Effects',
+    muted: 'Mute'
+  };
+
+  // keys of the menu screens (controls and sound) no matter how the actions
+  // are bound - so the players could always find their way out
+  var menuKeys = {
+    ArrowUp: 'up',
+    ArrowDown: 'down',
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    Enter: 'confirm',
+    Escape: 'pause'
+  };
+
+  // the row chosen on the menu screen
+  var menuRow = 0;
+
+  // what the menu screen has to say (e.g. about a conflict)
+  var menuNotice = '';
+
+  // the state the menu screen was opened from (and goes back to)
+  var menuReturn = 'title';
+
+  // the action waiting for its new key (if any)
+  var rebinding = null;
+
+  /**
+   * Show a menu screen - it goes back to the current state
+   * @param {string} name - the state of the menu ('controls' or 'sound')
+   */
+  function openMenu(name) {
+    menuReturn = stateName;
+    menuRow = 0;
+    menuNotice = '';
+    rebinding = null;
+    setState(name);
+  }
+
+  /**
+   * Move to the row above or below on the menu screen (round the edges)
+   * @param {string} action - 'up' or 'down' (anything else does nothing)
+   * @param {number} count - number of the rows
+   */
+  function moveMenu(action, count) {
+    if (action === 'up') {
+      menuRow = (menuRow + count - 1) % count;
+    } else if (action === 'down') {
+      menuRow = (menuRow + 1) % count;
+    }
+  }
+
+  /**
+   * Let the current (menu) state handle the menu keys
+   * @param {string} code - key pressed (KeyboardEvent.code)
+   * @return {boolean} - is it a key of the menu?
+   */
+  function menuKeydown(code) {
+    if (menuKeys[code]) {
+      state.press(menuKeys[code]);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Give the action waiting for its key the key pressed (a conflicting
+   * binding is swapped - the other action gets the keys of this one)
+   * @param {string} code - key pressed (KeyboardEvent.code)
+   */
+  function rebind(code) {
+    var action = rebinding;
+    var previous = bindings.labelOf(action);
+
+    if (code === 'Escape') {
+      menuNotice = '';
+    } else if (bindings.isReserved(code)) {
+      menuNotice = Bindings.label(code) + ' is reserved';
+      return;
+    } else {
+      var taken = bindings.bind(action, code);
+      menuNotice = taken ? Bindings.label(code) + ' taken from ' +
+          Bindings.names[taken] + ' - it gets ' + previous : '';
+    }
+
+    // the keys held may belong to other actions now
+    controls.reset();
+    rebinding = null;
+  }
+
+  /**
+   * Draw a menu screen on top of the (frozen) board: a row of a name and
+   * a value after another, the chosen one highlighted
+   * @param {string} title - headline
+   * @param {Array.<Array.<string>>} lines - name, value and the color of
+   *     the value (optional) of every row
+   */
+  function renderMenu(title, lines) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.font = '40px fantasy';
+    ctx.fillText(title, canvas.width / 2, 100);
+
+    ctx.font = '20px fantasy';
+    lines.forEach(function(line, i) {
+      var y = 160 + i * 34;
+      var chosen = (i === menuRow);
+
+      ctx.fillStyle = chosen ? 'gold' : 'white';
+      ctx.textAlign = 'left';
+      ctx.fillText((chosen ? '> ' : '  ') + line[0], 40, y);
+      ctx.fillStyle = line[2] || ctx.fillStyle;
+      ctx.textAlign = 'right';
+      ctx.fillText(line[1], canvas.width - 40, y);
+    });
+
+    ctx.fillStyle = 'orange';
+    ctx.textAlign = 'center';
+    ctx.fillText(menuNotice, canvas.width / 2, 160 + lines.length * 34);
+    ctx.restore();
+  }
+
+  /**
+   * Draw the controls screen: every action with its keys
+   */
+  function renderControls() {
+    renderMenu('CONTROLS', controlsRows.map(function(row) {
+      if (row === 'reset') {
+        return ['Reset to defaults', ''];
+      } else if (row === 'back') {
+        return ['Back', ''];
+      } else if (row === rebinding) {
+        return [Bindings.names[row], 'press a key (ESC to cancel)'];
+      }
+
+      var keys = bindings.keysOf(row).map(Bindings.label).join(', ');
+      return [Bindings.names[row], keys || 'NONE', keys ? null : 'red'];
+    }));
+  }
+
+  /**
+   * Draw the sound screen: the volumes (in percent) and muting
+   */
+  function renderSound() {
+    renderMenu('SOUND', soundRows.map(function(row) {
+      if (row === 'back') {
+        return ['Back', ''];
+      } else if (row === 'muted') {
+        return [soundNames[row], audio.settings.muted ? 'ON' : 'OFF'];
+      }
+      return [soundNames[row],
+              '< ' + Math.round(audio.settings[row] * 100) + '% >'];
+    }));
+  }
+
+  // how many assets could be listed on the loading screen at once
+  var LOADING_ROWS = 10;
+
+  /**
+   * Draw the loading screen: how far the loading got overall and the
+   * assets not loaded yet - the ones which failed in red
+   */
+  function renderLoading() {
+    var report = Resources.progress();
+    var left = report.assets.filter(function(asset) {
+      return assets.indexOf(asset.url) !== -1 && asset.state !== 'loaded';
+    });
+    var width = canvas.width - 80;
+
+    ctx.save();
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.font = '40px fantasy';
+    ctx.fillText('LOADING', canvas.width / 2, 100);
+
+    // overall progress
+    ctx.strokeStyle = 'white';
+    ctx.strokeRect(40, 130, width, 20);
+    ctx.fillStyle = 'lime';
+    ctx.fillRect(40, 130, width * report.ratio, 20);
+
+    ctx.fillStyle = 'white';
+    ctx.font = '16px fantasy';
+    ctx.fillText(report.loaded + ' / ' + report.total, canvas.width / 2, 175);
+
+    // every asset left on its own (as many as there is room for)
+    ctx.textAlign = 'left';
+    left.slice(0, LOADING_ROWS).forEach(function(asset, i) {
+      var y = 210 + i * 24;
+
+      ctx.fillStyle = (asset.state === 'failed') ? 'red' : 'white';
+      ctx.fillText(asset.url, 40, y);
+      ctx.fillRect(canvas.width - 140, y - 10, 100 * asset.progress, 10);
+    });
+    if (left.length > LOADING_ROWS) {
+      ctx.fillStyle = 'white';
+      ctx.fillText('and ' + (left.length - LOADING_ROWS) + ' more', 40,
+                   210 + LOADING_ROWS * 24);
+    }
+
+    if (missingAssets.length) {
+      ctx.fillStyle = 'orange';
+      ctx.textAlign = 'center';
+      ctx.fillText(missingAssets.length + ' could not be loaded - ' +
+                   'press R to retry, ' + bindings.labelOf('confirm') +
+                   ' to go on', canvas.width / 2, canvas.height - 30);
+    }
+    ctx.restore();
+  }
+
+  /* The game is a state machine - every state decides what the game loop
+   * does on update and render and how the actions (see bindings.js and
+   * input.js) are handled - a state could read the keys itself as well
+   * (keydown - true if the key is taken care of):
+   * - loading - the images and sounds are being loaded (see preload)
+   * - title - title screen over the frozen first level
+   * - select - character selection
+   * - playing - the game itself
+   * - paused - the game is frozen until resumed
+   * - levelComplete - the goal is reached, waiting to move on
+   * - gameOver - no lives left, waiting to start a fresh run
+   * - victory - the whole campaign is completed
+   * - controls - the key bindings (from the title screen or paused)
+   * - sound - the volumes (from the title screen or paused)
+   */
+  var states = {
+    loading: {
+      update: function(dt) {
+      },
+      render: function(alpha) {
+        renderLoading();
+      },
+      keydown: function(code) {
+        if (code === 'KeyR' && missingAssets.length) {
+          var urls = missingAssets;
+          missingAssets = [];
+          Resources.retry(urls);
+          Resources.onReady(assetsLoaded);
+          return true;
+        }
+        return false;
+      },
+      press: function(action) {
+        // the assets missing are left out (the images are replaced)
+        if (action === 'confirm' && missingAssets.length) {
+          finishLoading();
+        }
+      }
+    },
+
+    title: {
+      update: function(dt) {
+      },
+      render: function(alpha) {
+        render(alpha);
+        renderScreen('FROGGER', 'lime', [
+          'Reach the water avoiding the bugs',
+          'Press ' + bindings.labelOf('confirm') + ' to start',
+          'Press ' + bindings.labelOf('controls') + ' for controls, ' +
+              bindings.labelOf('sound') + ' for sound'
+        ]);
+      },
+      press: function(action) {
+        if (action === 'confirm') {
+          setState('select');
+        } else if (action === 'controls' || action === 'sound') {
+          openMenu(action);
+        }
+      }
+    },
+
+    select: {
+      update: function(dt) {
+      },
+      render: function(alpha) {
+        render(alpha);
+        renderSelect();
+      },
+      press: function(action) {
+        var count = Player.characters.length;
+
+        if (action === 'left') {
+          characterIndex = (characterIndex + count - 1) % count;
+        } else if (action === 'right') {
+          characterIndex = (characterIndex + 1) % count;
+        } else if (action === 'movement') {
+          movement = (movement === 'grid') ? 'free' : 'grid';
+        } else if (action === 'confirm') {
+          // a seed given to the game makes every run the same
+          replay = null;
+          startRun(fixedSeed);
+        }
+      }
+    },
+
+    playing: {
+      update: function(dt) {
+        applyInput();
+        update(dt);
+        tick += 1;
+
+        // the rest is up to the player once the recording is over
+        if (replay && replay.isOver(tick)) {
+          replay = null;
+          setState('paused');
+        }
+      },
+      render: function(alpha) {
+        render(alpha);
+      },
+      press: function(action) {
+        if (action === 'pause') {
+          setState('paused');
+        }
+      }
+    },
+
+    paused: {
+      enter: function() {
+        // keys released while paused would leave the hero running
+        // (stopping is an input too - so it gets recorded)
+        queueInput('stop', false);
+      },
+      update: function(dt) {
+        // time does not flow while paused
+      },
+      render: function(alpha) {
+        render(alpha);
+        renderScreen('PAUSED', 'white', [
+          'Press ' + bindings.labelOf('pause') + ' to resume',
+          'Press ' + bindings.labelOf('controls') + ' for controls, ' +
+              bindings.labelOf('sound') + ' for sound'
+        ]);
+      },
+      press: function(action) {
+        if (action === 'pause') {
+          setState('playing');
+        } else if (action === 'controls' || action === 'sound') {
+          openMenu(action);
+        }
+      }
+    },
+
+    levelComplete: {
+      update: function(dt) {
+        // recordings do not wait for anyone
+        if (replay) {
+          nextLevel();
+        }
+      },
+      render: function(alpha) {
+        render(alpha);
+        renderScreen('LEVEL ' + (levelIndex + 1) + ' COMPLETE', 'gold', [
+          'Score: ' + gameState.score,
+          'Press ' + bindings.labelOf('confirm') + ' to continue'
+        ]);
+      },
+      press: function(action) {
+        if (action === 'confirm') {
+          nextLevel();
+        }
+      }
+    },
+
+    gameOver: {
+      update: function(dt) {
+      },
+      render: function(alpha) {
+        render(alpha);
+        renderScreen('GAME OVER', 'red', [
+          'You made it to level ' + (levelIndex + 1),
+          'Final score: ' + gameState.score,
+          'Press ' + bindings.labelOf('confirm') + ' to continue'
+        ]);
+      },
+      press: function(action) {
+        if (action === 'confirm') {
+          setState('title');
+        }
+      }
+    },
+
+    victory: {
+      update: function(dt) {
+      },
+      render: function(alpha) {
+        render(alpha);
+        renderScreen('VICTORY!', 'gold', [
+          'All ' + Levels.list.length + ' levels completed',
+          'Final score: ' + gameState.score,
+          'Press ' + bindings.labelOf('confirm') + ' to continue'
+        ]);
+      },
+      press: function(action) {
+        if (action === 'confirm') {
+          setState('title');
+        }
+      }
+    },
+
+    controls: {
+      update: function(dt) {
+      },
+      render: function(alpha) {
+        render(alpha);
+        renderControls();
+      },
+      keydown: function(code) {
+        if (rebinding) {
+          rebind(code);
+          return true;
+        }
+        return menuKeydown(code);
+      },
+      press: function(action) {
+        var row = controlsRows[menuRow];
+
+        // only keys could be bound (not the buttons or touches)
+        if (rebinding) {
+          return;
+        }
+
+        moveMenu(action, controlsRows.length);
+        if (action === 'pause' || action === 'controls' ||
+            (action === 'confirm' && row === 'back')) {
+          setState(menuReturn);
+        } else if (action === 'confirm' && row === 'reset') {
+          bindings.reset();
+          controls.reset();
+          menuNotice = 'Default keys restored';
+        } else if (action === 'confirm') {
+          rebinding = row;
+          menuNotice = '';
+        }
+      }
+    },
+
+    sound: {
+      update: function(dt) {
+      },
+      render: function(alpha) {
+        render(alpha);
+        renderSound();
+      },
+      keydown: menuKeydown,
+      press: function(action) {
+        var row = soundRows[menuRow];
+        var step = {left: -0.1, right: 0.1}[action];
+
+        moveMenu(action, soundRows.length);
+        if (action === 'pause' || action === 'sound' ||
+            (action === 'confirm' && row === 'back')) {
+          setState(menuReturn);
+        } else if (step && AudioManager.channels.indexOf(row) !== -1) {
+          audio.setVolume(row, audio.settings[row] + step);
+          audio.play('bonus');
+        } else if (action === 'confirm' && row === 'muted') {
+          audio.toggleMute();
+        }
+      }
+    }
+  };
+
+  /**
+   * Switch the game to another state
+   * @param {string} name - name of the state (a key of states)
+   */
+  function setState(name) {
+    stateName = name;
+    state = states[name];
+    if (state.enter) {
+      state.enter();
+    }
+
+    // the music plays along with the game only
+    if (name === 'playing') {
+      audio.resumeMusic();
+    } else {
+      audio.pauseMusic();
+    }
+  }
+
+  /* Developer commands - for testing. Whatever they do is not recorded,
+   * so a run they were used in would not play back the same. There is
+   * nothing for them to do until a level is loaded (e.g. while loading).
+   */
+  var commands = {
+    /**
+     * Spawn an enemy into the level being played
+     * @param {string} type - one of enemy types or 'random'
+     * @param {number} row - row of the grid (a random one with stones
+     *     if omitted)
+     * @return {boolean} - is the enemy spawned (not if the type is unknown)?
+     */
+    spawnEnemy: function(type, row) {
+      type = type || 'random';
+      if (!level) {
+        return false;
+      }
+      if (type !== 'random' && !enemyTypes.hasOwnProperty(type)) {
+        commandNotice = 'unknown enemy ' + type;
+        return false;
+      }
+      if (row === undefined) {
+        var rows = level.tiles.map(function(tiles, i) {
+          return (tiles.indexOf('s') !== -1) ? i : -1;
+        }).filter(function(i) {
+          return i !== -1;
+        });
+        row = rows.length ? rows[randomInt(rows.length)] : 1;
+      }
+      addEnemy({type: type, row: row});
+      commandNotice = '';
+      return true;
+    },
+
+    /**
+     * Give the player a bonus right away
+     * @param {string} type - one of bonus types (a random one if omitted)
+     * @param {string} detail - effect of a star or color of a gem
+     * @return {boolean} - is the bonus given (not if the type is unknown)?
+     */
+    giveBonus: function(type, detail) {
+      var player = world.player;
+      var names = Object.keys(bonusTypes);
+
+      if (!level) {
+        return false;
+      }
+      type = type || names[randomInt(names.length)];
+      if (!bonusTypes.hasOwnProperty(type)) {
+        commandNotice = 'unknown bonus ' + type;
+        return false;
+      }
+      bonusTypes[type](player.x, player.y, {effect: detail, color: detail})
+          .applyBonus(player, gameState);
+      commandNotice = '';
+      return true;
+    },
+
+    /**
+     * Complete the level being played (without any points)
+     */
+    skipLevel: function() {
+      if (stateName !== 'playing') {
+        return;
+      }
+      if (levelIndex + 1 < Levels.list.length) {
+        nextLevel();
+      } else {
+        setState('victory');
+      }
+    },
+
+    /**
+     * Let nothing hurt the player (or let it hurt again)
+     * @return {boolean} - is the player invulnerable now?
+     */
+    toggleInvulnerable: function() {
+      invulnerable = !invulnerable;
+      return invulnerable;
+    }
+  };
+
+  // key of the developer overlay
+  var KEY_DEBUG = 'Backquote';
+
+  // keys of the developer overlay while it is shown
+  var debugKeys = {
+    KeyF: function() {
+      debug.toggleFreeze();
+    },
+    KeyN: function() {
+      debug.requestStep();
+    },
+    Digit1: function() {
+      commands.spawnEnemy('wrapping');
+    },
+    Digit2: function() {
+      commands.spawnEnemy('bouncing');
+    },
+    Digit3: function() {
+      commands.spawnEnemy('wild');
+    },
+    KeyB: function() {
+      commands.giveBonus();
+    },
+    KeyI: function() {
+      commands.toggleInvulnerable();
+    },
+    KeyL: function() {
+      commands.skipLevel();
+    }
+  };
+
+  /**
+   * An action pressed or released on any of the input devices: the
+   * movement is queued for the player, the rest is up to the current state
+   * @param {string} action - one of the actions (see Bindings.defaults)
+   * @param {boolean} pressed - is it pressed or released
+   */
+  function onAction(action, pressed) {
+    // moving around the screens should not make the hero move once
+    // the game goes on (releasing is always fine)
+    if (Player.hops.hasOwnProperty(action) &&
+        (stateName === 'playing' || !pressed)) {
+      queueInput(action, pressed);
+    }
+
+    if (pressed && state) {
+      state.press(action);
+    }
+  }
+
+  /**
+   * Let the developer overlay, the recordings, the current state (if it
+   * reads the keys itself) or the actions bound handle the keyboard
+   * @param {{code: string, preventDefault: function()}} e - keydown event
+   */
+  function onKeydown(e) {
+    if (e.code === KEY_DEBUG) {
+      debug.toggle();
+    } else if (debug.visible && debugKeys[e.code]) {
+      debugKeys[e.code]();
+    } else if (e.code === KEY_SAVE_RECORDING && recorder) {
+      e.preventDefault();
+      recorder.setTicks(tick);
+      recorder.download();
+    } else if (e.code === KEY_OPEN_RECORDING) {
+      e.preventDefault();
+      openRecording();
+    } else if (!(state && state.keydown && state.keydown(e.code))) {
+      // held keys repeat keydown events - only the first one matters
+      // (see Input)
+      controls.keydown(e.code);
+    }
+  }
+
+  /**
+   * Keys released
+   * @param {{code: string}} e - keyup event
+   */
+  function onKeyup(e) {
+    controls.keyup(e.code);
+  }
+
+  /**
+   * Follow the touches of the canvas (in the coordinates of the canvas -
+   * it may be scaled on the page)
+   * @param {TouchEvent} e - touch event
+   */
+  function onTouch(e) {
+    var rect = canvas.getBoundingClientRect();
+    var scaleX = canvas.width / rect.width;
+    var scaleY = canvas.height / rect.height;
+
+    // no scrolling or zooming the page while playing
+    e.preventDefault();
+
+    Array.prototype.forEach.call(e.changedTouches, function(touch) {
+      var x = (touch.clientX - rect.left) * scaleX;
+      var y = (touch.clientY - rect.top) * scaleY;
+
+      if (e.type === 'touchstart') {
+        controls.touchstart(touch.identifier, x, y);
+      } else if (e.type === 'touchmove') {
+        controls.touchmove(touch.identifier, x, y);
+      } else {
+        controls.touchend(touch.identifier, e.type === 'touchcancel');
+      }
+    });
+  }
+
+  /* Go ahead and load all of the images (and sounds) we know we're going
+   * to need to draw our game level - showing the loading screen meanwhile.
+   * Then call the callback, so that when all of these are properly loaded
+   * our game could start. If any of the images could not be loaded, the
+   * players choose whether to retry or to go on without them (the game
+   * goes on without the sounds missing anyway).
+   */
+  function preload(callback) {
+    var first = Levels.list[0];
+
+    assets = [].concat(
+        Object.keys(Levels.tiles).map(function(key) {
+          return Levels.tiles[key];
+        }),
+        Player.characters.map(function(character) {
+          return character.sprite;
+        }),
+        Object.keys(GemBonus.colors).map(function(color) {
+          return GemBonus.colors[color].sprite;
+        }),
+        Object.keys(Effect.types).map(function(type) {
+          return Effect.types[type].icon;
+        }),
+        AudioManager.files(),
+        [
+          'images/enemy-bug.png',
+          'images/Selector.png',
+          'images/Heart.png',
+          'images/Key.png',
+          'images/Rock.png',
+          'images/Star.png'
+        ]);
+    missingAssets = [];
+    afterLoading = callback;
+
+    // the loading screen takes the size of the first level already
+    canvas.width = first.cols * TILE_WIDTH;
+    canvas.height = first.rows * TILE_HEIGHT + BOARD_MARGIN;
+    setState('loading');
+
+    // the game loop is not running yet - the screen is drawn whenever
+    // the loading moves on
+    stopProgress = Resources.onProgress(function() {
+      renderFrame(1);
+    });
+    Resources.load(assets);
+
+    // assets may be ready already (e.g. loaded synchronously)
+    Resources.onReady(assetsLoaded);
+  }
+
+  /* This function is called once the assets are done loading: the game
+   * goes on unless some of the images could not be loaded. The sounds are
+   * not worth waiting for - the ones missing are just never heard (e.g.
+   * the browser would not load them before they are played).
+   */
+  function assetsLoaded() {
+    var sounds = AudioManager.files();
+
+    missingAssets = assets.filter(function(url) {
+      return sounds.indexOf(url) === -1 &&
+          Resources.failed().indexOf(url) !== -1;
+    });
+
+    if (missingAssets.length) {
+      renderFrame(1);
+    } else {
+      finishLoading();
+    }
+  }
+
+  /* This function leaves the loading screen - the game starts.
+   */
+  function finishLoading() {
+    var callback = afterLoading;
+
+    stopProgress();
+    missingAssets = [];
+    afterLoading = null;
+    callback();
+  }
+
+  /**
+   * Hook the game up to the page: the keyboard, touches of the canvas
+   * (gamepads are read by the game loop), recordings dropped onto
+   * the canvas and pausing when the window loses focus. Only the game
+   * actually played should be attached - a demo could run on its own.
+   * @param {Document} document - the page
+   * @param {Window} window - the window of the page
+   */
+  function attach(document, window) {
+    doc = document;
+    win = window;
+
+    doc.addEventListener('keydown', onKeydown);
+    doc.addEventListener('keyup', onKeyup);
+
+    // the canvas doubles as a touch pad
+    ['touchstart', 'touchmove', 'touchend', 'touchcancel'].forEach(
+        function(type) {
+          canvas.addEventListener(type, onTouch, {passive: false});
+        });
+
+    // recordings could also be dropped onto the canvas
+    canvas.addEventListener('dragover', function(e) {
+      e.preventDefault();
+    });
+    canvas.addEventListener('drop', function(e) {
+      e.preventDefault();
+      if (e.dataTransfer.files.length) {
+        readRecording(e.dataTransfer.files[0]);
+      }
+    });
+
+    // do not let the game run unattended when the window loses focus
+    win.addEventListener('blur', function() {
+      controls.reset();
+      if (stateName === 'playing') {
+        setState('paused');
+      }
+    });
+  }
+
+  /* The engine exposes what is needed to run the game on a page (attach,
+   * preload and init), to drive it without a browser (preload, boot and then
+   * step/advance, keydown/keyup), the world being played and the recording
+   * facilities.
+   */
+  return {
+    attach: attach,
+    preload: preload,
+    init: init,
+    boot: boot,
+    step: step,
+    advance: advance,
+
+    /**
+     * Render the current state of the game
+     */
+    render: function() {
+      renderFrame(1);
+    },
+
+    /**
+     * @param {string} code - key pressed (KeyboardEvent.code)
+     */
+    keydown: function(code) {
+      onKeydown({code: code, preventDefault: function() {}});
+    },
+
+    /**
+     * @param {string} code - key released (KeyboardEvent.code)
+     */
+    keyup: function(code) {
+      onKeyup({code: code});
+    },
+
+    /**
+     * Start a fresh run right away (skipping the title screens)
+     * @param {number} seed - random seed of the run
+     * @param {number} startLevel - index of the level to start with
+     */
+    start: function(seed, startLevel) {
+      replay = null;
+      startRun(seed, startLevel);
+    },
+
+    /**
+     * @return {{state: string, level: number, tick: number,
+     *           lives: number, score: number}} status of the game
+     */
+    status: function() {
+      return {
+        state: stateName,
+        level: levelIndex,
+        tick: tick,
+        lives: gameState.lives,
+        score: gameState.score
+      };
+    },
+
+    /**
+     * Developer commands: spawnEnemy(type, row), giveBonus(type, detail),
+     * skipLevel() and toggleInvulnerable()
+     */
+    commands: commands,
+
+    /**
+     * @return {World} everything living on the board
+     */
+    world: function() {
+      return world;
+    },
+
+    /**
+     * @return {Object} recording of the current run (if any)
+     */
+    recording: function() {
+      if (!recorder) {
+        return null;
+      }
+      recorder.setTicks(tick);
+      return recorder.toJSON();
+    },
+    playback: playback
+  };
+}
+
+export {createEngine};
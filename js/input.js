@@ -0,0 +1,342 @@
+/* Input.js
+ * Input devices mapped to the actions of the game - the keyboard,
+ * gamepads (the Gamepad API) and touches on the canvas all end up as the
+ * same actions:
+ * - left, up, right, down - the movement the player takes (see
+ *   Player.prototype.handleInput)
+ * - confirm - e.g. starting the game (the A button, a tap)
+ * - pause - pausing and resuming the game (the Start button)
+ * - the rest of the actions of the keyboard (see Bindings.defaults)
+ *
+ * Every device (source) keeps its own state of the actions - the game is
+ * told once an action is pressed on any of them and once it is released
+ * on all of them, so e.g. a key held while the stick is let go keeps
+ * the hero moving. Held keys repeating their keydown events are ignored
+ * the same way.
+ *
+ * Touches are read in one of two ways:
+ * - swipe - every swipe is one press of the direction swiped (hopping)
+ * - joystick - a virtual joystick appears where the touch starts and
+ *   the directions stay pressed for as long as it is pushed that way
+ */
+
+/**
+ * Actions of all the input devices
+ * @constructor
+ * @param {Bindings} bindings - keys of the actions (see bindings.js)
+ * @param {function(string, boolean, string)} listener - called with the
+ *     action, whether it is pressed or released and the source of the change
+ */
+var Input = function(bindings, listener) {
+  this.bindings = bindings;
+
+  // how the touches are read - either 'swipe' or 'joystick'
+  this.touchMode = 'swipe';
+
+  // @private - told about the actions
+  this.listener_ = listener;
+
+  // @private - pressed actions of every source (source -> action -> bool)
+  this.states_ = {
+    keyboard: {},
+    gamepad: {},
+    touch: {}
+  };
+
+  // @private - the touch being followed ({id, x, y, startX, startY,
+  // moved}) - there is only one at a time
+  this.touch_ = null;
+};
+
+/**
+ * Analog stick values closer to the center than this are ignored
+ */
+Input.DEADZONE = 0.3;
+
+/**
+ * Buttons of the standard gamepad mapping
+ */
+Input.buttons = {
+  0: 'confirm', // A
+  9: 'pause',   // Start
+  12: 'up',
+  13: 'down',
+  14: 'left',
+  15: 'right'
+};
+
+/**
+ * Shortest swipe (in pixels) - anything shorter is a tap
+ */
+Input.SWIPE_DISTANCE = 30;
+
+/**
+ * Radius of the virtual joystick (in pixels) and how far from its center
+ * it has to be pushed to press anything
+ */
+Input.JOYSTICK_RADIUS = 50;
+Input.JOYSTICK_DEADZONE = 15;
+
+/**
+ * Joystick pushed further than this (along the axis, relative to the
+ * distance from the center) presses the direction of the axis - so the
+ * diagonals press two directions at once
+ */
+Input.JOYSTICK_AXIS = 0.38;
+
+/**
+ * Press or release the action on behalf of the source
+ * @param {string} source - one of 'keyboard', 'gamepad' or 'touch'
+ * @param {string} action - the action
+ * @param {boolean} pressed - is it pressed or released
+ */
+Input.prototype.set = function(source, action, pressed) {
+  var before = this.isPressed(action);
+  this.states_[source][action] = pressed;
+
+  if (this.isPressed(action) !== before) {
+    this.listener_(action, !before, source);
+  }
+};
+
+/**
+ * Press and release the action right away (unless it is held elsewhere)
+ * @param {string} source - one of 'keyboard', 'gamepad' or 'touch'
+ * @param {string} action - the action
+ */
+Input.prototype.pulse = function(source, action) {
+  if (!this.isPressed(action)) {
+    this.listener_(action, true, source);
+    this.listener_(action, false, source);
+  }
+};
+
+/**
+ * @param {string} action - the action
+ * @return {boolean} - is the action pressed on any of the sources?
+ */
+Input.prototype.isPressed = function(action) {
+  for (var source in this.states_) {
+    if (this.states_.hasOwnProperty(source) && this.states_[source][action]) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Release everything held (e.g. once the window loses focus - the keys
+ * released elsewhere would never be released here)
+ */
+Input.prototype.reset = function() {
+  for (var source in this.states_) {
+    if (this.states_.hasOwnProperty(source)) {
+      for (var action in this.states_[source]) {
+        if (this.states_[source].hasOwnProperty(action)) {
+          this.set(source, action, false);
+        }
+      }
+    }
+  }
+  this.touch_ = null;
+};
+
+/**
+ * @param {string} code - key pressed (KeyboardEvent.code)
+ * @return {boolean} - is it a key of any action?
+ */
+Input.prototype.keydown = function(code) {
+  var action = this.bindings.actionOf(code);
+  if (action) {
+    this.set('keyboard', action, true);
+  }
+  return !!action;
+};
+
+/**
+ * @param {string} code - key released (KeyboardEvent.code)
+ */
+Input.prototype.keyup = function(code) {
+  var action = this.bindings.actionOf(code);
+  if (action) {
+    this.set('keyboard', action, false);
+  }
+};
+
+/**
+ * Read the gamepads - they have no events, so this is done every frame
+ * @param {Array.<Gamepad>} gamepads - the gamepads connected (some of
+ *     the slots may be empty)
+ */
+Input.prototype.pollGamepads = function(gamepads) {
+  var pressed = {};
+
+  Array.prototype.forEach.call(gamepads || [], function(pad) {
+    if (!pad || !pad.connected) {
+      return;
+    }
+
+    pad.buttons.forEach(function(button, i) {
+      if (Input.buttons[i] && button.pressed) {
+        pressed[Input.buttons[i]] = true;
+      }
+    });
+
+    // the left stick
+    var x = pad.axes[0] || 0;
+    var y = pad.axes[1] || 0;
+    if (x < -Input.DEADZONE) {
+      pressed.left = true;
+    } else if (x > Input.DEADZONE) {
+      pressed.right = true;
+    }
+    if (y < -Input.DEADZONE) {
+      pressed.up = true;
+    } else if (y > Input.DEADZONE) {
+      pressed.down = true;
+    }
+  });
+
+  for (var i in Input.buttons) {
+    if (Input.buttons.hasOwnProperty(i)) {
+      var action = Input.buttons[i];
+      this.set('gamepad', action, !!pressed[action]);
+    }
+  }
+};
+
+/**
+ * A finger touched the canvas - it is followed unless another one is
+ * @param {number} id - identifier of the touch
+ * @param {number} x - x-value on the canvas
+ * @param {number} y - y-value on the canvas
+ */
+Input.prototype.touchstart = function(id, x, y) {
+  if (!this.touch_) {
+    this.touch_ = {id: id, x: x, y: y, startX: x, startY: y, moved: false};
+  }
+};
+
+/**
+ * The finger moved - the joystick follows it
+ * @param {number} id - identifier of the touch
+ * @param {number} x - x-value on the canvas
+ * @param {number} y - y-value on the canvas
+ */
+Input.prototype.touchmove = function(id, x, y) {
+  var touch = this.touch_;
+  if (!touch || touch.id !== id) {
+    return;
+  }
+
+  touch.x = x;
+  touch.y = y;
+  if (this.distance_() >= Input.SWIPE_DISTANCE) {
+    touch.moved = true;
+  }
+
+  if (this.touchMode === 'joystick') {
+    this.pushJoystick_();
+  }
+};
+
+/**
+ * The finger left the canvas - the swipe is over (or the tap)
+ * and the joystick is released
+ * @param {number} id - identifier of the touch
+ * @param {boolean} cancelled - was the touch interrupted (e.g. by an alert)
+ *     rather than finished - then it is neither a tap nor a swipe
+ */
+Input.prototype.touchend = function(id, cancelled) {
+  var touch = this.touch_;
+  if (!touch || touch.id !== id) {
+    return;
+  }
+
+  if (cancelled) {
+    // neither a tap nor a swipe
+  } else if (!touch.moved) {
+    this.pulse('touch', 'confirm');
+  } else if (this.touchMode === 'swipe') {
+    this.pulse('touch', this.direction_());
+  }
+
+  this.touch_ = null;
+  ['left', 'up', 'right', 'down'].forEach(function(movement) {
+    this.set('touch', movement, false);
+  }, this);
+};
+
+/**
+ * Draw the virtual joystick (while it is used)
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ */
+Input.prototype.render = function(ctx) {
+  var touch = this.touch_;
+  if (!touch || this.touchMode !== 'joystick') {
+    return;
+  }
+
+  var distance = this.distance_();
+  var scale = Math.min(distance, Input.JOYSTICK_RADIUS) / (distance || 1);
+
+  ctx.save();
+  ctx.globalAlpha = 0.4;
+  ctx.fillStyle = 'white';
+  ctx.beginPath();
+  ctx.arc(touch.startX, touch.startY, Input.JOYSTICK_RADIUS, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.globalAlpha = 0.8;
+  ctx.beginPath();
+  ctx.arc(touch.startX + (touch.x - touch.startX) * scale,
+          touch.startY + (touch.y - touch.startY) * scale,
+          Input.JOYSTICK_RADIUS / 2, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.restore();
+};
+
+/**
+ * @private
+ * Press the directions the joystick is pushed to (and release the rest)
+ */
+Input.prototype.pushJoystick_ = function() {
+  var touch = this.touch_;
+  var distance = this.distance_();
+  var x = 0;
+  var y = 0;
+
+  if (distance >= Input.JOYSTICK_DEADZONE) {
+    x = (touch.x - touch.startX) / distance;
+    y = (touch.y - touch.startY) / distance;
+  }
+  this.set('touch', 'left', x < -Input.JOYSTICK_AXIS);
+  this.set('touch', 'right', x > Input.JOYSTICK_AXIS);
+  this.set('touch', 'up', y < -Input.JOYSTICK_AXIS);
+  this.set('touch', 'down', y > Input.JOYSTICK_AXIS);
+};
+
+/**
+ * @private
+ * @return {number} how far the touch moved from where it started
+ */
+Input.prototype.distance_ = function() {
+  var dx = this.touch_.x - this.touch_.startX;
+  var dy = this.touch_.y - this.touch_.startY;
+  return Math.sqrt(dx * dx + dy * dy);
+};
+
+/**
+ * @private
+ * @return {string} the direction of the swipe (along its longer axis)
+ */
+Input.prototype.direction_ = function() {
+  var dx = this.touch_.x - this.touch_.startX;
+  var dy = this.touch_.y - this.touch_.startY;
+
+  if (Math.abs(dx) > Math.abs(dy)) {
+    return (dx < 0) ? 'left' : 'right';
+  }
+  return (dy < 0) ? 'up' : 'down';
+};
+
+export {Input};
@@ -0,0 +1,231 @@
+/* Levels.js
+ * This file holds the level definitions. Every level is a plain object
+ * (it could be loaded straight from a JSON file) that describes:
+ *
+ * - cols, rows - dimensions of the grid (in tiles)
+ * - tiles - one string per row, one character per cell; every character
+ *   is looked up in the Levels.tiles legend to get the image of that cell
+ * - goalRow - the row the player has to reach to complete the level
+ * - time - how many seconds the player has before the level restarts
+ * - player - starting cell of the player: {col, row}
+ * - enemies - optional list of enemy spawns: {type, row, speed, direction,
+ *   x} where type is one of 'wrapping', 'bouncing', 'wild' or 'random',
+ *   direction is either 'right' or 'left'; speed and x are optional
+ *   (default speed is used and x is chosen randomly if omitted)
+ * - lanes - optional list of traffic lanes - rows the enemies keep driving
+ *   along: {row, direction, speed, spacing, mix, gap, ramp} (see traffic.js)
+ * - bonuses - list of bonus spawns: {type, col, row, color} where type is
+ *   one of 'star' (status effect - speed boost unless another one of
+ *   Effect.types is given as effect), 'gem' (points, color is one of
+ *   'blue', 'green' or 'orange'), 'heart' (extra life) or 'key' (unlocks
+ *   the gates); bonuses with a row stay on that tile, the rest start
+ *   at the top of the screen and fall down; col is optional
+ *   (a random position is chosen if omitted)
+ * - obstacles - optional list of obstacles: {type, col, row} where type is
+ *   'rock' (the default); bouncing enemies bounce off obstacles, wrapping
+ *   ones just pass by, so keep obstacles out of their rows
+ * - platforms - optional list of platforms floating down the river rows:
+ *   {type, row, length, speed, direction, x, phase} where type is 'log' or
+ *   'turtles' (diving every now and then, phase tells how far - in seconds -
+ *   into their diving cycle they start), length is in tiles; the rest is
+ *   the same as for the enemies
+ * - music - optional track played along (one of AudioManager.tracks - the
+ *   first one if omitted)
+ *
+ * The levels are played in the order of the list - which makes it a campaign,
+ * so keep them sorted by increasing difficulty.
+ */
+var Levels = {
+  /**
+   * Tile legend - maps a character used in level layouts to an image
+   */
+  tiles: {
+    w: 'images/water-block.png',
+    s: 'images/stone-block.png',
+    g: 'images/grass-block.png',
+    l: 'images/water-block.png',
+    r: 'images/water-block.png'
+  },
+
+  /**
+   * Gates - goal tiles which could only be passed with a key
+   */
+  locked: ['l'],
+
+  /**
+   * River - tiles the player drowns in unless riding a platform
+   */
+  river: ['r'],
+
+  /**
+   * All the levels of the campaign
+   */
+  list: [
+    {
+      cols: 5,
+      rows: 6,
+      tiles: [
+        'wwwww',
+        'sssss',
+        'sssss',
+        'sssss',
+        'ggggg',
+        'ggggg'
+      ],
+      goalRow: 0,
+      time: 10,
+      player: {col: 2, row: 5},
+      lanes: [
+        {row: 1, direction: 'right', speed: [150, 220]},
+        {row: 2, direction: 'left', speed: [120, 200]},
+        {row: 3, direction: 'right', speed: [150, 250],
+         mix: {wrapping: 3, wild: 1}}
+      ],
+      bonuses: [
+        {type: 'star'}
+      ]
+    },
+    {
+      cols: 5,
+      rows: 6,
+      tiles: [
+        'wwwww',
+        'sssss',
+        'sssss',
+        'sssss',
+        'ggggg',
+        'ggggg'
+      ],
+      goalRow: 0,
+      time: 10,
+      player: {col: 2, row: 5},
+      enemies: [
+        {type: 'wrapping', row: 1, speed: 250, x: 0},
+        {type: 'wrapping', row: 1, speed: 250, x: 250},
+        {type: 'wrapping', row: 2, speed: 200, direction: 'left'},
+        {type: 'bouncing', row: 3, speed: 280}
+      ],
+      bonuses: [
+        {type: 'star'}
+      ],
+      obstacles: [
+        {type: 'rock', col: 1, row: 4},
+        {type: 'rock', col: 3, row: 4}
+      ]
+    },
+    {
+      cols: 5,
+      rows: 7,
+      tiles: [
+        'wwwww',
+        'sssss',
+        'sssss',
+        'sssss',
+        'sssss',
+        'ggggg',
+        'ggggg'
+      ],
+      goalRow: 0,
+      time: 12,
+      player: {col: 2, row: 6},
+      enemies: [
+        {type: 'bouncing', row: 2, speed: 260},
+        {type: 'wild', row: 3}
+      ],
+      lanes: [
+        {row: 1, direction: 'left', speed: [260, 320], spacing: [220, 320]},
+        {row: 4, direction: 'right', speed: [200, 260],
+         mix: {wrapping: 2, wild: 1}}
+      ],
+      bonuses: [
+        {type: 'star', effect: 'invulnerable'},
+        {type: 'gem', color: 'blue', col: 0, row: 2},
+        {type: 'gem', color: 'green', col: 4, row: 4},
+        {type: 'heart', col: 1, row: 5}
+      ]
+    },
+    {
+      cols: 6,
+      rows: 7,
+      tiles: [
+        'llwwll',
+        'rrrrrr',
+        'rrrrrr',
+        'ssssss',
+        'ssssss',
+        'gggggg',
+        'gggggg'
+      ],
+      goalRow: 0,
+      time: 15,
+      music: 'audio/music-river.wav',
+      player: {col: 2, row: 6},
+      enemies: [
+        {type: 'wrapping', row: 3, speed: 350, direction: 'left', x: 0},
+        {type: 'wrapping', row: 3, speed: 350, direction: 'left', x: 300},
+        {type: 'bouncing', row: 4, speed: 320},
+        {type: 'wild', row: 4, speed: 300}
+      ],
+      bonuses: [
+        {type: 'star', effect: 'slowTime'},
+        {type: 'key', col: 5, row: 4},
+        {type: 'gem', color: 'orange', col: 0, row: 3}
+      ],
+      platforms: [
+        {type: 'log', row: 1, length: 2, speed: 120, x: 0},
+        {type: 'log', row: 1, length: 2, speed: 120, x: 303},
+        {type: 'turtles', row: 2, length: 3, speed: 90, direction: 'left',
+         x: 0},
+        {type: 'turtles', row: 2, length: 2, speed: 90, direction: 'left',
+         x: 404, phase: 2.5}
+      ]
+    },
+    {
+      cols: 6,
+      rows: 8,
+      tiles: [
+        'llllll',
+        'rrrrrr',
+        'rrrrrr',
+        'ssssss',
+        'gggggg',
+        'ssssss',
+        'ssssss',
+        'gggggg'
+      ],
+      goalRow: 0,
+      time: 18,
+      music: 'audio/music-river.wav',
+      player: {col: 3, row: 7},
+      enemies: [
+        {type: 'bouncing', row: 6, speed: 420, direction: 'left'}
+      ],
+      lanes: [
+        {row: 3, direction: 'left', speed: [340, 400], spacing: [220, 300]},
+        {row: 5, direction: 'right', speed: [280, 360],
+         mix: {wrapping: 1, wild: 1}}
+      ],
+      bonuses: [
+        {type: 'star'},
+        {type: 'star', effect: 'shrink'},
+        {type: 'key', col: 0, row: 4},
+        {type: 'heart', col: 5, row: 4},
+        {type: 'gem', color: 'green', col: 2, row: 4}
+      ],
+      platforms: [
+        {type: 'turtles', row: 1, length: 2, speed: 110, x: 0},
+        {type: 'turtles', row: 1, length: 2, speed: 110, x: 303, phase: 3},
+        {type: 'log', row: 2, length: 3, speed: 140, direction: 'left',
+         x: 100}
+      ],
+      obstacles: [
+        {type: 'rock', col: 1, row: 4},
+        {type: 'rock', col: 4, row: 4},
+        {type: 'rock', col: 0, row: 6},
+        {type: 'rock', col: 5, row: 6}
+      ]
+    }
+  ]
+};
+
+export {Levels};
@@ -0,0 +1,57 @@
+/* Main.js
+ * This file starts the game in a browser: it creates the canvas, adds it to
+ * the page, creates the game (see engine.js), hooks it up to the page and
+ * starts it once all the images and sounds are loaded (showing the loading
+ * screen meanwhile).
+ */
+import {createEngine} from './engine.js';
+
+/**
+ * @return {number} seed given as 'seed' URL query parameter (if any)
+ */
+function urlSeed() {
+  var match = /[?&]seed=(\d+)/.exec(window.location.search);
+  return match ? parseInt(match[1], 10) : undefined;
+}
+
+/**
+ * @return {Storage} local storage of the page (if the browser lets the page
+ *     use it at all)
+ */
+function pageStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null;
+  }
+}
+
+var canvas = document.createElement('canvas');
+document.body.appendChild(canvas);
+
+var game = createEngine({
+  canvas: canvas,
+  clock: {
+    now: function() {
+      return window.performance.now();
+    },
+    schedule: function(fn) {
+      window.requestAnimationFrame(fn);
+    }
+  },
+  // a seed given in the URL (?seed=123) makes every run the same
+  seed: urlSeed(),
+  // the true shapes of the sprites collide if asked for (?precise)
+  precise: /[?&]precise\b/.test(window.location.search),
+  // the hero hops from tile to tile unless asked to move freely (?free)
+  movement: /[?&]free\b/.test(window.location.search) ? 'free' : 'grid',
+  // the keys rebound and the volumes set are kept for the next time
+  storage: pageStorage()
+});
+
+game.attach(document, window);
+game.preload(game.init);
+
+// the developer commands could be typed into the console as well
+// (e.g. frogger.commands.spawnEnemy('wild', 2))
+window.frogger = game;
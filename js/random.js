@@ -0,0 +1,73 @@
+/* Random.js
+ * This is a seedable pseudo random number generator (mulberry32).
+ * Every random choice the game makes should go through it so that
+ * the same seed always produces the same game. Every game has a generator
+ * of its own (see World) - so games running side by side do not disturb
+ * each other's sequences.
+ */
+
+/**
+ * Seedable random number generator
+ * @constructor
+ * @param {number} seed - the seed to start with (random if omitted)
+ */
+var Random = function(seed) {
+  // @private - the seed the generator was set up with
+  this.baseSeed_ = 0;
+
+  // @private - internal state of the generator
+  this.state_ = 0;
+
+  this.seed(seed);
+};
+
+/**
+ * Set the seed up and restart the sequence.
+ * A random seed is chosen if none is given.
+ * @param {number} value - the seed
+ */
+Random.prototype.seed = function(value) {
+  if (value === undefined) {
+    value = Math.floor(Math.random() * 0x7fffffff);
+  }
+  this.baseSeed_ = value >>> 0;
+  this.state_ = this.baseSeed_;
+};
+
+/**
+ * @return {number} the seed the generator was set up with
+ */
+Random.prototype.getSeed = function() {
+  return this.baseSeed_;
+};
+
+/**
+ * Restart the sequence derived from the seed and the given salt - so that
+ * e.g. every level gets its own sequence no matter what happened before.
+ * @param {number} salt - anything that tells the sequences apart
+ */
+Random.prototype.restart = function(salt) {
+  this.state_ = (this.baseSeed_ ^ Math.imul(salt || 0, 0x9e3779b9)) >>> 0;
+};
+
+/**
+ * @return {number} the next number of the sequence within [0, 1) range -
+ *     just like Math.random does
+ */
+Random.prototype.next = function() {
+  this.state_ = (this.state_ + 0x6d2b79f5) >>> 0;
+  var t = this.state_;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * @param {number} range - how many integers to choose from
+ * @return {number} a random integer between 0 and range-1
+ */
+Random.prototype.int = function(range) {
+  return Math.floor(this.next() * range);
+};
+
+export {Random};
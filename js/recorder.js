@@ -0,0 +1,184 @@
+/* Recorder.js
+ * Input recording and playback. The recorder captures the movement input
+ * of a run per simulation step along with everything else needed to play
+ * the very same run again (the random seed, the starting level, the
+ * character and the way it moves). The recording is a plain object which
+ * could be saved to and loaded from a JSON file.
+ */
+
+/**
+ * Records the input of a run
+ * @constructor
+ * @param {number} seed - random seed of the run
+ * @param {number} level - index of the level the run starts with
+ * @param {string} character - id of the character played
+ * @param {number} step - length of the simulation step (in seconds)
+ * @param {string} movement - how the character moves ('free' or 'grid')
+ */
+var Recorder = function(seed, level, character, step, movement) {
+  this.seed = seed;
+  this.level = level;
+  this.character = character;
+  this.step = step;
+  this.movement = movement;
+
+  // @private - recorded input: [tick, action, pressed] triples
+  this.events_ = [];
+
+  // @private - how many steps the run lasted so far
+  this.ticks_ = 0;
+};
+
+/**
+ * Version of the recording format
+ */
+Recorder.VERSION = 1;
+
+/**
+ * Remember the input applied at the given step
+ * @param {number} tick - number of the simulation step
+ * @param {string} action - one of movements or 'stop'
+ * @param {boolean} pressed - is it keypress or keyrelease
+ */
+Recorder.prototype.record = function(tick, action, pressed) {
+  this.events_.push([tick, action, pressed]);
+};
+
+/**
+ * @param {number} ticks - how many steps the run lasted so far
+ */
+Recorder.prototype.setTicks = function(ticks) {
+  this.ticks_ = ticks;
+};
+
+/**
+ * @return {Object} the recording (ready to be serialized to JSON)
+ */
+Recorder.prototype.toJSON = function() {
+  return {
+    version: Recorder.VERSION,
+    seed: this.seed,
+    level: this.level,
+    character: this.character,
+    step: this.step,
+    movement: this.movement,
+    ticks: this.ticks_,
+    events: this.events_
+  };
+};
+
+/**
+ * Let the browser download the recording as a JSON file
+ * @param {string} filename - name of the file
+ */
+Recorder.prototype.download = function(filename) {
+  var blob = new Blob([JSON.stringify(this.toJSON())],
+                      {type: 'application/json'});
+  var url = URL.createObjectURL(blob);
+  var link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename || 'frogger-' + this.seed + '.json';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Plays the input of a recording back - anything which does not make
+ * sense is refused right away (rather than failing halfway through)
+ * @constructor
+ * @param {Object} data - the recording (see Recorder.prototype.toJSON)
+ * @param {number} levels - how many levels there are (the recording has
+ *     to start with one of them)
+ */
+var Replay = function(data, levels) {
+  if (!data || data.version !== Recorder.VERSION ||
+      !Array.isArray(data.events)) {
+    throw new Error('Not a recording (or an unsupported version of it)');
+  }
+  if (!isNumber(data.level) || data.level % 1 !== 0 || data.level < 0 ||
+      data.level >= levels) {
+    throw new Error('Recording of an unknown level: ' + data.level);
+  }
+  if (!isNumber(data.seed) || !isNumber(data.ticks)) {
+    throw new Error('Recording with no seed or length');
+  }
+  // the recordings made before the grid movement was there are free
+  var movement = data.movement || 'free';
+  if (Replay.MOVEMENTS.indexOf(movement) === -1) {
+    throw new Error('Recording of an unknown movement: ' + movement);
+  }
+  if (!data.events.every(isEvent)) {
+    throw new Error('Recording with broken input');
+  }
+
+  this.seed = data.seed;
+  this.level = data.level;
+  this.character = data.character;
+  this.step = data.step;
+  this.movement = movement;
+  this.ticks = data.ticks;
+
+  // @private - recorded input (sorted by tick)
+  this.events_ = data.events;
+
+  // @private - index of the next event to play
+  this.cursor_ = 0;
+};
+
+/**
+ * The ways the characters move
+ */
+Replay.MOVEMENTS = ['free', 'grid'];
+
+/**
+ * The input recorded - the movements and 'stop'
+ */
+Replay.ACTIONS = ['left', 'up', 'right', 'down', 'stop'];
+
+/**
+ * @param {*} value - anything
+ * @return {boolean} - is it a finite number?
+ */
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * @param {*} event - anything
+ * @return {boolean} - is it a [tick, action, pressed] triple?
+ */
+function isEvent(event) {
+  return Array.isArray(event) && event.length === 3 && isNumber(event[0]) &&
+      Replay.ACTIONS.indexOf(event[1]) !== -1 &&
+      typeof event[2] === 'boolean';
+}
+
+/**
+ * @param {number} tick - number of the simulation step
+ * @return {Array.<{action: string, pressed: boolean}>} input recorded
+ *     at the given step
+ */
+Replay.prototype.eventsAt = function(tick) {
+  var events = [];
+
+  while (this.cursor_ < this.events_.length &&
+         this.events_[this.cursor_][0] <= tick) {
+    var event = this.events_[this.cursor_];
+    events.push({action: event[1], pressed: event[2]});
+    this.cursor_ += 1;
+  }
+  return events;
+};
+
+/**
+ * @param {number} tick - number of the simulation step
+ * @return {boolean} - is the whole recording played by the given step?
+ */
+Replay.prototype.isOver = function(tick) {
+  return tick >= this.ticks;
+};
+
+export {Recorder, Replay};
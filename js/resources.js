@@ -3,110 +3,448 @@
  * image files so that they can be used within your game. It also includes
  * a simple 'caching' layer so it will reuse cached images if you attempt
  * to load the same image multiple times.
+ * Sounds (.wav, .mp3 and .ogg files) and data (.json files - e.g. levels
+ * or sprite sheets) are loaded the same way - the game is ready once all
+ * of them are.
+ * The way the assets are actually loaded could be replaced (see
+ * setLoader) - e.g. to run the game outside of a browser.
+ *
+ * An asset which could not be loaded does not keep the game waiting
+ * forever: it fails - an image is replaced by a fallback sprite (see
+ * setFallback), the rest are left out - and it could be retried (see
+ * retry). So does an asset its loader has not said a word about for too
+ * long (see setTimeLimit). The progress of every asset and of all of them
+ * is reported along the way (see onProgress), so it could be shown on
+ * a loading screen.
+ *
+ * The cache is shared by all the games running on the page.
  */
-(function() {
-  var resourceCache = {};
-  var loading = [];
-  var readyCallbacks = [];
+var resourceCache = {};
+var readyCallbacks = [];
+var progressCallbacks = [];
 
-  /* This is the publicly accessible image loading function. It accepts
-   * an array of strings pointing to image files or a string for a single
-   * image. It will then call our private image loading function accordingly.
+/* The state of every asset requested: 'loading', 'loaded' or 'failed',
+ * how far it got (0 to 1), what went wrong (if it failed) and the attempt
+ * at loading it which counts (see start).
+ */
+var states = {};
+var progresses = {};
+var errors = {};
+var attempts = {};
+
+/* The batches requested (the assets of every load or retry call) and
+ * waiting for their assets - each one is resolved once all of its assets
+ * are loaded (or failed).
+ */
+var batches = [];
+
+/* These are the default ways of loading the assets - in a browser. Every
+ * loader is a function(url, callback, fail, progress) which calls the
+ * callback with the asset once it is loaded (or fail with the error if it
+ * could not be loaded) and reports the progress (0 to 1) if it can.
+ */
+var loaders = {
+  image: function(url, callback, fail) {
+    var img = new Image();
+    img.onload = function() {
+      callback(img);
+    };
+    img.onerror = function() {
+      fail(new Error('Image ' + url + ' could not be loaded'));
+    };
+    img.src = url;
+  },
+
+  /* The sound is loaded once it could be played through - or at least
+   * started (some browsers never buffer the whole sound ahead).
    */
-  function load(urlOrArr) {
-    if (urlOrArr instanceof Array) {
-      /* If the developer passed in an array of images
-       * loop through each value and call our image
-       * loader on that image file
-       */
-      urlOrArr.forEach(function(url) {
-        _load(url);
+  sound: function(url, callback, fail, progress) {
+    var audio = new Audio();
+    ['canplaythrough', 'loadeddata'].forEach(function(type) {
+      audio.addEventListener(type, function() {
+        callback(audio);
       });
-    } else {
-      /* The developer did not pass an array to this function,
-       * assume the value is a string and call our image loader
-       * directly.
-       */
-      _load(urlOrArr);
-    }
-  }
+    });
+    audio.addEventListener('error', function() {
+      fail(new Error('Sound ' + url + ' could not be loaded'));
+    });
+    audio.addEventListener('progress', function() {
+      if (audio.duration && audio.buffered.length) {
+        progress(audio.buffered.end(audio.buffered.length - 1) /
+                 audio.duration);
+      }
+    });
+    audio.preload = 'auto';
+    audio.src = url;
+    audio.load();
+  },
 
-  /* This is our private image loader function, it is
-   * called by the public image loader function.
-   */
-  function _load(url) {
-    if (resourceCache[url]) {
-      /* If this URL has been previously loaded it will exist within
-       * our resourceCache array. Just return that image rather
-       * re-loading the image.
-       */
-      return resourceCache[url];
-    } else {
-      /* This URL has not been previously loaded and is not present
-       * within our cache; we'll need to load this image.
-       */
-      var img = new Image();
-      img.onload = function() {
-        /* Once our image has properly loaded, add it to our cache
-         * so that we can simply return this image if the developer
-         * attempts to load this file in the future.
-         */
-        resourceCache[url] = img;
-
-        /* Once the image is actually loaded and properly cached,
-         * call all of the onReady() callbacks we have defined.
-         */
-        if (isReady()) {
-          readyCallbacks.forEach(function(func) { func(); });
-        }
-      };
+  json: function(url, callback, fail) {
+    fetch(url).then(function(response) {
+      if (!response.ok) {
+        throw new Error('Data ' + url + ' could not be loaded (' +
+                        response.status + ')');
+      }
+      return response.json();
+    }).then(callback, fail);
+  }
+};
 
-      /* Set the initial cache value to false, this will change when
-       * the image's onload event handler is called. Finally, point
-       * the images src attribute to the passed in URL.
-       */
-      resourceCache[url] = false;
-      img.src = url;
+/* These are the assets used in place of the ones which could not be
+ * loaded - made up for the url. The images are replaced by a magenta box
+ * (hard to miss), the rest are left out.
+ */
+var fallbacks = {
+  image: function(url) {
+    if (typeof document === 'undefined') {
       return null;
     }
+
+    var canvas = document.createElement('canvas');
+    var ctx = canvas.getContext('2d');
+    canvas.width = 101;
+    canvas.height = 171;
+    ctx.fillStyle = 'magenta';
+    ctx.fillRect(0, 50, 101, 121);
+    ctx.strokeStyle = 'black';
+    ctx.beginPath();
+    ctx.moveTo(0, 50);
+    ctx.lineTo(101, 171);
+    ctx.moveTo(101, 50);
+    ctx.lineTo(0, 171);
+    ctx.stroke();
+    return canvas;
   }
+};
+
+/* These are the time limits (in milliseconds) of the types of assets: an
+ * asset fails once its loader has neither loaded it nor reported any
+ * progress for that long (e.g. mobile browsers do not load the sounds
+ * until they are played - and never call back). No limit if 0.
+ */
+var timeLimits = {
+  image: 30000,
+  sound: 10000,
+  json: 30000
+};
 
-  /* This is used by developer's to grab references to images they know
-   * have been previously loaded. If an image is cached, this functions
-   * the same as calling load() on that URL.
+/* This function tells the type of the asset from the extension of
+ * its file: 'sound', 'json' or 'image' (the rest).
+ */
+function typeOf(url) {
+  if (/\.(wav|mp3|ogg)$/i.test(url)) {
+    return 'sound';
+  }
+  return /\.json$/i.test(url) ? 'json' : 'image';
+}
+
+/* This is the publicly accessible image loading function. It accepts
+ * an array of strings pointing to image files or a string for a single
+ * image. It will then call our private image loading function accordingly.
+ * It returns a promise of the batch - resolved (once) with the urls loaded
+ * and the ones which failed ({loaded, failed}) when all of them are done.
+ */
+function load(urlOrArr) {
+  var urls = (urlOrArr instanceof Array) ? urlOrArr : [urlOrArr];
+
+  /* Call our image loader on every image file - and then wait for all
+   * of them.
    */
-  function get(url) {
+  var promise = batch(urls);
+  urls.forEach(function(url) {
+    _load(url);
+  });
+  settle();
+  return promise;
+}
+
+/* This is our private image loader function, it is
+ * called by the public image loader function.
+ */
+function _load(url) {
+  if (states[url]) {
+    /* If this URL has been previously requested it will exist within
+     * our resourceCache array. Just return that image rather
+     * re-loading the image (it may still be on the way).
+     */
     return resourceCache[url];
+  } else {
+    /* This URL has not been previously loaded and is not present
+     * within our cache; we'll need to load this image.
+     */
+    start(url);
+    return null;
   }
+}
 
-  /* This function determines if all of the images that have been requested
-   * for loading have in fact been completed loaded.
+/* This function lets the loader load the asset. The asset is followed
+ * by this attempt only - whatever the loader says after it is done (e.g.
+ * events coming more than once) or after another attempt has started
+ * is ignored.
+ */
+function start(url) {
+  var type = typeOf(url);
+  var attempt = {};
+  var timer = null;
+  var current = function() {
+    return states[url] === 'loading' && attempts[url] === attempt;
+  };
+
+  /* The asset fails if the loader keeps silent for too long - the clock
+   * starts over with every word from it (and stops once it is done).
    */
-  function isReady() {
-    var ready = true;
-    for (var k in resourceCache) {
-      if (resourceCache.hasOwnProperty(k) &&
-         !resourceCache[k]) {
-        ready = false;
+  var watch = function() {
+    clearTimeout(timer);
+    if (current() && timeLimits[type]) {
+      timer = setTimeout(function() {
+        if (current()) {
+          fail(url, new Error('Loading ' + url + ' timed out'));
+        }
+      }, timeLimits[type]);
+    }
+  };
+
+  /* Set the initial cache value to false (unless there is a fallback
+   * already), this will change when the asset is loaded. Finally, let the
+   * loader load the asset.
+   */
+  states[url] = 'loading';
+  attempts[url] = attempt;
+  progresses[url] = 0;
+  delete errors[url];
+  resourceCache[url] = resourceCache[url] || false;
+  notifyProgress();
+  watch();
+
+  try {
+    loaders[type](url, function(asset) {
+      /* Once our asset has properly loaded, add it to our cache
+       * so that we can simply return it if the developer
+       * attempts to load this file in the future.
+       */
+      if (current()) {
+        clearTimeout(timer);
+        resourceCache[url] = asset;
+        states[url] = 'loaded';
+        progresses[url] = 1;
+        settle();
+      }
+    }, function(error) {
+      if (current()) {
+        clearTimeout(timer);
+        fail(url, error);
+      }
+    }, function(progress) {
+      if (current()) {
+        progresses[url] = Math.min(Math.max(progress, 0), 1);
+        notifyProgress();
+        watch();
       }
+    });
+  } catch (e) {
+    // e.g. the file is not there at all (outside of a browser)
+    if (current()) {
+      clearTimeout(timer);
+      fail(url, e);
     }
-    return ready;
   }
+}
 
-  /* This function will add a function to the callback stack that is called
-   * when all requested images are properly loaded.
-   */
-  function onReady(func) {
+/* This function marks the asset as failed - an image gets its fallback
+ * (unless it has one already).
+ */
+function fail(url, error) {
+  var fallback = fallbacks[typeOf(url)];
+
+  states[url] = 'failed';
+  errors[url] = error;
+  progresses[url] = 1;
+  resourceCache[url] = resourceCache[url] || (fallback ? fallback(url) : null);
+  settle();
+}
+
+/* This function creates a batch of the urls - and its promise.
+ */
+function batch(urls) {
+  var entry = {urls: urls.slice(), resolve: null};
+  var promise = new Promise(function(resolve) {
+    entry.resolve = resolve;
+  });
+  batches.push(entry);
+  return promise;
+}
+
+/* This function resolves the batches which are done and, once nothing is
+ * loading anymore, calls the onReady() callbacks (every one of them just
+ * once - they are forgotten then).
+ */
+function settle() {
+  notifyProgress();
+
+  batches = batches.filter(function(entry) {
+    var done = entry.urls.every(function(url) {
+      return states[url] !== 'loading';
+    });
+    if (done) {
+      entry.resolve({
+        loaded: entry.urls.filter(function(url) {
+          return states[url] === 'loaded';
+        }),
+        failed: entry.urls.filter(function(url) {
+          return states[url] === 'failed';
+        })
+      });
+    }
+    return !done;
+  });
+
+  if (isReady()) {
+    var callbacks = readyCallbacks;
+    readyCallbacks = [];
+    callbacks.forEach(function(func) { func(); });
+  }
+}
+
+/* This function tells everybody interested how the loading goes.
+ */
+function notifyProgress() {
+  var report = progress();
+  progressCallbacks.slice().forEach(function(func) { func(report); });
+}
+
+/* This is used by developer's to grab references to images they know
+ * have been previously loaded. If an image is cached, this functions
+ * the same as calling load() on that URL. An image which failed is
+ * its fallback.
+ */
+function get(url) {
+  return resourceCache[url];
+}
+
+/* This function determines if all of the assets that have been requested
+ * for loading are done loading (either loaded or failed).
+ */
+function isReady() {
+  for (var k in states) {
+    if (states.hasOwnProperty(k) && states[k] === 'loading') {
+      return false;
+    }
+  }
+  return true;
+}
+
+/* This function will add a function to the callback stack that is called
+ * (just once) when all requested assets are done loading - or right away
+ * if they are done already.
+ */
+function onReady(func) {
+  if (isReady()) {
+    func();
+  } else {
     readyCallbacks.push(func);
   }
+}
 
-  /* This object defines the publicly accessible functions available to
-   * developers by creating a global Resources object.
-   */
-  window.Resources = {
-    load: load,
-    get: get,
-    onReady: onReady,
-    isReady: isReady
+/* This function will add a function to the callback stack that is called
+ * with the progress report (see progress) every time an asset moves on.
+ * It returns a function which removes the callback again.
+ */
+function onProgress(func) {
+  progressCallbacks.push(func);
+  return function() {
+    progressCallbacks = progressCallbacks.filter(function(callback) {
+      return callback !== func;
+    });
   };
-})();
+}
+
+/* This function reports the progress of all the assets requested:
+ * {ratio, total, loaded, failed, assets} - how far the loading got (0 to
+ * 1), how many assets there are, how many of them are loaded and how many
+ * failed and every asset on its own ({url, type, state, progress, error}).
+ */
+function progress() {
+  var report = {ratio: 1, total: 0, loaded: 0, failed: 0, assets: []};
+  var sum = 0;
+
+  for (var url in states) {
+    if (states.hasOwnProperty(url)) {
+      report.total += 1;
+      report.loaded += (states[url] === 'loaded') ? 1 : 0;
+      report.failed += (states[url] === 'failed') ? 1 : 0;
+      sum += progresses[url];
+      report.assets.push({
+        url: url,
+        type: typeOf(url),
+        state: states[url],
+        progress: progresses[url],
+        error: errors[url] || null
+      });
+    }
+  }
+  if (report.total) {
+    report.ratio = sum / report.total;
+  }
+  return report;
+}
+
+/* This function lists the assets which could not be loaded (their urls).
+ */
+function failed() {
+  return Object.keys(states).filter(function(url) {
+    return states[url] === 'failed';
+  });
+}
+
+/* This function tries to load the failed assets (or the ones given) once
+ * more. It returns a promise of the batch - just like load.
+ */
+function retry(urlOrArr) {
+  var urls = urlOrArr ? [].concat(urlOrArr) : failed();
+
+  var promise = batch(urls);
+  urls.forEach(function(url) {
+    if (states[url] === 'failed') {
+      start(url);
+    }
+  });
+  settle();
+  return promise;
+}
+
+/* This function replaces the way assets of the type ('image' - the
+ * default, 'sound' or 'json') are loaded. The loader is a
+ * function(url, callback, fail, progress) which calls the callback with
+ * the asset once it is loaded - an image (or anything with width and
+ * height), a sound (anything with the interface of an audio element: play,
+ * pause, cloneNode, volume, loop and currentTime) or the data - or fail
+ * with the error if it could not be loaded (throwing the error does the same).
+ * It could also report its progress (0 to 1).
+ */
+function setLoader(func, type) {
+  loaders[type || 'image'] = func;
+}
+
+/* This function replaces the asset used in place of the ones of the type
+ * ('image' - the default, 'sound' or 'json') which could not be loaded.
+ * The fallback is a function(url) which makes the asset up (or returns
+ * null to leave it out).
+ */
+function setFallback(func, type) {
+  fallbacks[type || 'image'] = func;
+}
+
+/* This function sets how long (in milliseconds) the loader of the assets
+ * of the type ('image' - the default, 'sound' or 'json') could keep silent
+ * before the asset fails (0 for no limit). It applies to the assets
+ * requested from then on.
+ */
+function setTimeLimit(milliseconds, type) {
+  timeLimits[type || 'image'] = milliseconds;
+}
+
+/* These are the publicly accessible functions available to developers
+ * (import them as a Resources namespace).
+ */
+export {load, get, onReady, isReady, onProgress, progress, failed, retry,
+        setLoader, setFallback, setTimeLimit};
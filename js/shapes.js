@@ -0,0 +1,168 @@
+/* Shapes.js
+ * Hitbox shapes - circles and convex polygons - used by the precise
+ * collision mode (see Enemy.prototype.touches). A shape is a plain object:
+ * - {type: 'circle', x: number, y: number, r: number}
+ * - {type: 'polygon', points: Array.<Array.<number>>} - [x, y] pairs
+ *   of a convex polygon, in either order
+ * Hitboxes are given in the coordinates of the sprite and are placed onto
+ * the screen (moved, mirrored and scaled) before they are tested.
+ */
+
+/**
+ * @param {number} x - x of the center
+ * @param {number} y - y of the center
+ * @param {number} r - radius
+ * @return {Object} circle
+ */
+function circle(x, y, r) {
+  return {type: 'circle', x: x, y: y, r: r};
+}
+
+/**
+ * @param {Array.<Array.<number>>} points - [x, y] pairs of a convex polygon
+ * @return {Object} polygon
+ */
+function polygon(points) {
+  return {type: 'polygon', points: points};
+}
+
+/**
+ * @param {{left: number, top: number, right: number, bottom: number}} b
+ * @return {Object} polygon covering the box
+ */
+function box(b) {
+  return polygon([[b.left, b.top], [b.right, b.top],
+                  [b.right, b.bottom], [b.left, b.bottom]]);
+}
+
+/**
+ * Place the shape given in the coordinates of a sprite onto the screen
+ * @param {Object} shape - circle or polygon
+ * @param {{x: number, y: number, mirror: number, scale: number,
+ *          cx: number, cy: number}} placement - where the sprite is,
+ *     the width of the sprite if it is drawn mirrored (0 otherwise) and
+ *     how much the shape is scaled around the given point
+ * @return {Object} the placed shape (a new one)
+ */
+function place(shape, placement) {
+  var p = placement;
+  var scale = (p.scale === undefined) ? 1 : p.scale;
+
+  function point(x, y) {
+    if (p.mirror) {
+      x = p.mirror - x;
+    }
+    return [p.x + p.cx + (x - p.cx) * scale,
+            p.y + p.cy + (y - p.cy) * scale];
+  }
+
+  if (shape.type === 'circle') {
+    var center = point(shape.x, shape.y);
+    return circle(center[0], center[1], shape.r * scale);
+  }
+  return polygon(shape.points.map(function(xy) {
+    return point(xy[0], xy[1]);
+  }));
+}
+
+/**
+ * @param {Object} a - circle or polygon
+ * @param {Object} b - circle or polygon
+ * @return {boolean} - do the shapes intersect (touching counts)?
+ */
+function intersect(a, b) {
+  if (a.type === 'circle' && b.type === 'circle') {
+    var dx = a.x - b.x;
+    var dy = a.y - b.y;
+    var r = a.r + b.r;
+    return dx * dx + dy * dy <= r * r;
+  }
+
+  // separating axis theorem - the shapes do not intersect if there is
+  // an axis their projections onto do not overlap
+  var axes = axesOf(a, b).concat(axesOf(b, a));
+  for (var i = 0, l = axes.length; i < l; i++) {
+    var pa = project(a, axes[i]);
+    var pb = project(b, axes[i]);
+    if (pa.max < pb.min || pb.max < pa.min) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * @private
+ * @param {Object} shape - the shape to get the axes of
+ * @param {Object} other - the shape it is tested against
+ * @return {Array.<Array.<number>>} axes to project the shapes onto:
+ *     normals of the polygon's edges or - for a circle - the direction
+ *     to the closest vertex of the other polygon
+ */
+function axesOf(shape, other) {
+  if (shape.type === 'polygon') {
+    return shape.points.map(function(a, i, points) {
+      var b = points[(i + 1) % points.length];
+      return [a[1] - b[1], b[0] - a[0]];
+    });
+  }
+
+  var closest = null;
+  var best = Infinity;
+  other.points.forEach(function(xy) {
+    var distance = (xy[0] - shape.x) * (xy[0] - shape.x) +
+                   (xy[1] - shape.y) * (xy[1] - shape.y);
+    if (distance < best) {
+      best = distance;
+      closest = [xy[0] - shape.x, xy[1] - shape.y];
+    }
+  });
+  return [closest];
+}
+
+/**
+ * @private
+ * @param {Object} shape - circle or polygon
+ * @param {Array.<number>} axis - the axis (not necessarily of unit length)
+ * @return {{min: number, max: number}} projection of the shape
+ */
+function project(shape, axis) {
+  if (shape.type === 'circle') {
+    var center = shape.x * axis[0] + shape.y * axis[1];
+    var radius = shape.r * Math.sqrt(axis[0] * axis[0] + axis[1] * axis[1]);
+    return {min: center - radius, max: center + radius};
+  }
+
+  var min = Infinity;
+  var max = -Infinity;
+  shape.points.forEach(function(xy) {
+    var value = xy[0] * axis[0] + xy[1] * axis[1];
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+  return {min: min, max: max};
+}
+
+/**
+ * Outline the shape
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ * @param {Object} shape - circle or polygon (placed onto the screen)
+ */
+function draw(ctx, shape) {
+  ctx.beginPath();
+  if (shape.type === 'circle') {
+    ctx.arc(shape.x, shape.y, shape.r, 0, 2 * Math.PI);
+  } else {
+    shape.points.forEach(function(xy, i) {
+      if (i === 0) {
+        ctx.moveTo(xy[0], xy[1]);
+      } else {
+        ctx.lineTo(xy[0], xy[1]);
+      }
+    });
+    ctx.closePath();
+  }
+  ctx.stroke();
+}
+
+export {circle, polygon, box, place, intersect, draw};
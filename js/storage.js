@@ -0,0 +1,47 @@
+/* Storage.js
+ * Settings of the players (key bindings, volumes) kept in a storage - e.g.
+ * localStorage, or anything with getItem and setItem. They are kept as
+ * JSON under a key of their own.
+ *
+ * A storage is no reason for the game to break: there may be none at all,
+ * it may be full or disabled and what it holds may be broken - the settings
+ * then last until the page is closed (or the defaults stay).
+ */
+
+/**
+ * Save the settings (if there is where to)
+ * @param {Storage} storage - where to save them (nowhere if null)
+ * @param {string} key - key of the settings in the storage
+ * @param {*} data - the settings (anything JSON.stringify takes)
+ */
+function save(storage, key, data) {
+  if (!storage) {
+    return;
+  }
+
+  try {
+    storage.setItem(key, JSON.stringify(data));
+  } catch (e) {
+    // the storage may be full or disabled
+  }
+}
+
+/**
+ * Restore the settings saved
+ * @param {Storage} storage - where they are saved (nowhere if null)
+ * @param {string} key - key of the settings in the storage
+ * @return {Object} the settings - null if there are none (or they are
+ *     broken, or not an object)
+ */
+function restore(storage, key) {
+  var data;
+
+  try {
+    data = storage && JSON.parse(storage.getItem(key));
+  } catch (e) {
+    data = null;
+  }
+  return (data && typeof data === 'object') ? data : null;
+}
+
+export {save, restore};
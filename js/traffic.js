@@ -0,0 +1,291 @@
+/* Traffic.js
+ * Lanes of traffic - rows of the board the enemies keep driving along
+ * rather than one bug running there forever. Every lane emits enemies at
+ * its entry edge (the left one for the lanes going right and the other way
+ * round), they drive across the board and leave it for good at the exit
+ * edge (see Enemy.prototype.passing). A lane is described by:
+ * - row - the row of the board
+ * - direction - either 'right' or 'left'
+ * - speed - [min, max] speed of the enemies (each one gets its own)
+ * - spacing - [min, max] distance (in pixels) between an enemy emitted and
+ *   the one emitted before it
+ * - mix - the enemy types emitted along with their weights (e.g.
+ *   {wrapping: 3, wild: 1} - every fourth enemy is a wild one on average)
+ * - gap - the shortest distance (in pixels) between two enemies - the faster
+ *   ones slow down behind the slower ones (never going faster than those
+ *   once caught up with them), so there is always a way through
+ * - ramp - how much harder (faster and denser) the lane gets every second;
+ *   the traffic gets up to Lane.MAX_RAMP times harder
+ * Everything but the row is optional (see Lane.defaults). The lane starts
+ * full of traffic already - as if it had been running for a while.
+ *
+ * Lanes go straight from one edge to the other - keep obstacles out
+ * of their rows.
+ */
+
+/**
+ * A lane of traffic - it lives in the world along with its enemies
+ * @constructor
+ * @param {Object} lane - lane description (see above)
+ * @param {function(Object): Enemy} emit - spawns the enemy described
+ *     ({type, row, direction, speed}) into the world
+ */
+var Lane = function(lane, emit) {
+  var defaults = Lane.defaults;
+
+  this.row = lane.row;
+  this.direction = lane.direction || defaults.direction;
+  this.speed = lane.speed || defaults.speed;
+  this.spacing = lane.spacing || defaults.spacing;
+  this.mix = lane.mix || defaults.mix;
+  this.gap = (lane.gap === undefined) ? defaults.gap : lane.gap;
+  this.ramp = (lane.ramp === undefined) ? defaults.ramp : lane.ramp;
+
+  // @private - spawns the enemies
+  this.emit_ = emit;
+
+  // @private - enemies driving along the lane
+  this.enemies_ = [];
+
+  // @private - the enemy emitted last (it is the closest to the entry)
+  this.last_ = null;
+
+  // @private - distance to keep from the last enemy before the next one
+  this.nextSpacing_ = 0;
+
+  // @private - how long (in seconds) the lane has been running
+  this.time_ = 0;
+
+  // @private - has the lane been filled with traffic yet?
+  this.filled_ = false;
+};
+
+/**
+ * Default lane description
+ */
+Lane.defaults = {
+  direction: 'right',
+  speed: [150, 250],
+  spacing: [250, 400],
+  mix: {wrapping: 1},
+  gap: 202,
+  ramp: 0.02
+};
+
+/**
+ * The traffic never gets more than this many times harder
+ */
+Lane.MAX_RAMP = 2;
+
+/**
+ * Emit new enemies, keep the gaps between the ones driving and forget
+ * the ones which left
+ * @param {number} dt - a time delta between ticks
+ * @param {World} world - the world the lane lives in
+ */
+Lane.prototype.update = function(dt, world) {
+  this.time_ += dt;
+
+  if (!this.filled_) {
+    this.filled_ = true;
+    this.fill_(world);
+  }
+
+  this.enemies_ = this.enemies_.filter(function(enemy) {
+    return world.contains(enemy);
+  });
+  if (this.last_ && !world.contains(this.last_)) {
+    this.last_ = null;
+  }
+
+  this.keepGaps_(dt, world);
+
+  if (!this.last_ || this.back_(this.last_, world) >= this.nextSpacing_) {
+    var enemy = this.add_(world);
+    this.place_(enemy, -this.length_(enemy), world);
+  }
+};
+
+/**
+ * The lane itself is not drawn
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ */
+Lane.prototype.render = function(ctx) {
+};
+
+/**
+ * @return {boolean} - the lane keeps running for as long as the level
+ */
+Lane.prototype.isAlive = function() {
+  return true;
+};
+
+/**
+ * @return {number} how much harder the traffic is by now (1 at the start)
+ */
+Lane.prototype.difficulty = function() {
+  return Math.min(1 + this.ramp * this.time_, Lane.MAX_RAMP);
+};
+
+/**
+ * @return {Array.<Enemy>} enemies driving along the lane
+ */
+Lane.prototype.enemies = function() {
+  return this.enemies_;
+};
+
+/**
+ * @private
+ * Fill the lane with the traffic - from the entry edge to the exit one
+ * @param {World} world - the world the lane lives in
+ */
+Lane.prototype.fill_ = function(world) {
+  var back = this.randomSpacing_(world);
+  var first = null;
+
+  while (back < world.width) {
+    var enemy = this.add_(world);
+    this.place_(enemy, back, world);
+    back = this.front_(enemy, world) + this.randomSpacing_(world);
+    first = first || enemy;
+  }
+
+  // the first one is the closest to the entry
+  this.last_ = first;
+};
+
+/**
+ * @private
+ * Emit an enemy - of a type picked from the mix, with a random speed
+ * @param {World} world - the world the lane lives in
+ * @return {Enemy} the enemy (still to be placed)
+ */
+Lane.prototype.add_ = function(world) {
+  var range = this.speed;
+  var speed = range[0] + world.random.next() * (range[1] - range[0]);
+  var enemy = this.emit_({
+    type: this.pickType_(world),
+    row: this.row,
+    direction: this.direction,
+    speed: speed * this.difficulty()
+  });
+
+  enemy.passing = true;
+  this.enemies_.push(enemy);
+  this.last_ = enemy;
+  this.nextSpacing_ = this.randomSpacing_(world);
+  return enemy;
+};
+
+/**
+ * @private
+ * @param {World} world - the world the lane lives in
+ * @return {string} enemy type picked from the mix according to the weights
+ */
+Lane.prototype.pickType_ = function(world) {
+  var mix = this.mix;
+  var types = Object.keys(mix);
+  var total = types.reduce(function(sum, type) {
+    return sum + mix[type];
+  }, 0);
+  var pick = world.random.next() * total;
+
+  for (var i = 0, l = types.length - 1; i < l; i++) {
+    pick -= mix[types[i]];
+    if (pick < 0) {
+      return types[i];
+    }
+  }
+  return types[types.length - 1];
+};
+
+/**
+ * @private
+ * @param {World} world - the world the lane lives in
+ * @return {number} distance to keep between two enemies emitted - denser
+ *     as the lane gets harder, but never shorter than the gap
+ */
+Lane.prototype.randomSpacing_ = function(world) {
+  var range = this.spacing;
+  var spacing = range[0] + world.random.next() * (range[1] - range[0]);
+  return Math.max(spacing / this.difficulty(), this.gap);
+};
+
+/**
+ * @private
+ * Make the enemies catching up with the ones ahead of them brake - they
+ * close up to the gap at most and drive as fast as the ones ahead from
+ * then on (until those speed up or leave)
+ * @param {number} dt - a time delta between ticks
+ * @param {World} world - the world the lane lives in
+ */
+Lane.prototype.keepGaps_ = function(dt, world) {
+  var lane = this;
+  var ahead = this.enemies_.slice().sort(function(a, b) {
+    return lane.front_(b, world) - lane.front_(a, world);
+  });
+
+  if (ahead.length) {
+    ahead[0].speedLimit = Infinity;
+  }
+  for (var i = 1, l = ahead.length; i < l; i++) {
+    var leader = ahead[i - 1];
+    var follower = ahead[i];
+    // how far the follower could go before it gets closer than the gap -
+    // once the leader moves on as well
+    var room = this.back_(leader, world) + leader.currentSpeed() * dt -
+               this.gap - this.front_(follower, world);
+
+    follower.speedLimit = Infinity;
+    if (follower.currentSpeed() * dt > room) {
+      follower.speedLimit = Math.max(room / dt, 0);
+    }
+  }
+};
+
+/**
+ * @private
+ * @param {Enemy} enemy - enemy of the lane
+ * @return {number} length of the enemy (along the lane)
+ */
+Lane.prototype.length_ = function(enemy) {
+  return enemy.rectBounds.right - enemy.rectBounds.left;
+};
+
+/**
+ * @private
+ * @param {Enemy} enemy - enemy of the lane
+ * @param {World} world - the world the lane lives in
+ * @return {number} how far the front of the enemy is from the entry edge
+ */
+Lane.prototype.front_ = function(enemy, world) {
+  return this.back_(enemy, world) + this.length_(enemy);
+};
+
+/**
+ * @private
+ * @param {Enemy} enemy - enemy of the lane
+ * @param {World} world - the world the lane lives in
+ * @return {number} how far the back of the enemy is from the entry edge
+ */
+Lane.prototype.back_ = function(enemy, world) {
+  var r = enemy.rectBounds;
+  return (this.direction === 'right') ? enemy.x + r.left :
+                                        world.width - (enemy.x + r.right);
+};
+
+/**
+ * @private
+ * Move the enemy so its back is the given distance from the entry edge
+ * (an enemy placed its length before the edge is about to enter the board)
+ * @param {Enemy} enemy - enemy of the lane
+ * @param {number} back - distance from the entry edge
+ * @param {World} world - the world the lane lives in
+ */
+Lane.prototype.place_ = function(enemy, back, world) {
+  var r = enemy.rectBounds;
+  enemy.x = (this.direction === 'right') ? back - r.left :
+                                           world.width - back - r.right;
+};
+
+export {Lane};
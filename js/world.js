@@ -0,0 +1,317 @@
+/* World.js
+ * The world owns everything living on the board of one game - obstacles,
+ * enemies, the player, bonuses, texts, the timer and the HUD alike - along
+ * with the size of the board and the random generator of the game.
+ * The world is passed to whatever needs to know about it - so there is
+ * nothing global and several games could run side by side on one page.
+ *
+ * Every entity is spawned with a render layer and some tags:
+ * - layers are drawn one above another (see World.layers); within a layer
+ *   whatever stands lower on the screen is drawn later - on top
+ * - tags (e.g. 'enemy') tell what the entity is to the game - entities
+ *   could be queried by them (or by their type)
+ * Entities taking part in collisions are spawned with a collision layer
+ * as well (see collisions.js).
+ *
+ * Entities could be spawned and despawned at any time - even in the middle
+ * of an update: the ones spawned then join the world once the update is over
+ * (and are first updated on the next one), the ones despawned are neither
+ * updated nor drawn anymore. Entities which are not alive anymore
+ * (see isAlive) are despawned on their own.
+ */
+import {Random} from './random.js';
+import {Collisions} from './collisions.js';
+
+/**
+ * Everything living on the board of one game
+ * @constructor
+ * @param {number} width - width of the board (in pixels)
+ * @param {number} height - height of the board (in pixels)
+ * @param {Random} random - random generator of the game (a new one
+ *     with a random seed if omitted)
+ */
+var World = function(width, height, random) {
+  this.width = width;
+  this.height = height;
+
+  // every random choice of the game is made by this generator
+  this.random = random || new Random();
+
+  // our hero (spawned like everybody else, but often looked for)
+  this.player = null;
+
+  // collision detection of the entities (the game registers the callbacks)
+  this.collisions = new Collisions();
+
+  // @private - the entities along with their layers and tags
+  // ({id, entity, layer, tags, collision, removed} - in the order
+  // they were spawned)
+  this.records_ = [];
+
+  // @private - id of the next entity spawned
+  this.nextId_ = 1;
+
+  // @private - entities spawned during the update (joining after it)
+  this.spawned_ = [];
+
+  // @private - is the update in progress?
+  this.updating_ = false;
+};
+
+/**
+ * Render layers - from the bottom to the top:
+ * - ground - things lying on the board (e.g. floating logs)
+ * - sprites - everything standing on the board
+ * - text - texts, timer and HUD - always above the rest
+ */
+World.layers = {
+  ground: 0,
+  sprites: 1,
+  text: 2
+};
+
+/**
+ * Forget all the entities and change the size of the board
+ * (the random generator is kept)
+ * @param {number} width - width of the board (in pixels)
+ * @param {number} height - height of the board (in pixels)
+ */
+World.prototype.reset = function(width, height) {
+  this.width = width;
+  this.height = height;
+  this.player = null;
+  this.records_.forEach(function(record) {
+    record.removed = true;
+  });
+  this.records_ = [];
+  this.spawned_ = [];
+  this.collisions.reset();
+};
+
+/**
+ * Put the entity into the world - fitted to the board (unless it has
+ * no screen bounds)
+ * @param {Object} entity - anything with update, render and isAlive
+ * @param {{layer: string, tags: Array.<string>, collision: string}}
+ *     options - render layer (one of World.layers, 'sprites' by default),
+ *     tags and collision layer (one of Collisions.layers - the entity
+ *     does not collide with anything if omitted) of the entity
+ * @return {Object} the entity
+ */
+World.prototype.spawn = function(entity, options) {
+  options = options || {};
+
+  var record = {
+    id: this.nextId_,
+    entity: entity,
+    layer: World.layers[options.layer || 'sprites'],
+    tags: options.tags || [],
+    collision: options.collision || null,
+    removed: false
+  };
+  this.nextId_ += 1;
+
+  if (entity.setScreen) {
+    entity.setScreen(this.width, this.height);
+  }
+
+  if (this.updating_) {
+    this.spawned_.push(record);
+  } else {
+    this.records_.push(record);
+  }
+  return entity;
+};
+
+/**
+ * Take the entity out of the world - right away
+ * @param {Object} entity - entity to remove
+ */
+World.prototype.despawn = function(entity) {
+  var record = this.record_(entity);
+  if (record) {
+    record.removed = true;
+  }
+  if (!this.updating_) {
+    this.sweep_();
+  }
+};
+
+/**
+ * @param {Object} entity - entity to look for
+ * @return {boolean} - is the entity in the world?
+ */
+World.prototype.contains = function(entity) {
+  var record = this.record_(entity);
+  return !!record && !record.removed;
+};
+
+/**
+ * Find the entities of the given type or with the given tag
+ * (all of them if there is nothing to look for)
+ * @param {(function|string)} selector - constructor or tag
+ * @return {Array.<Object>} entities found (in the order they were spawned)
+ */
+World.prototype.query = function(selector) {
+  return this.records_.filter(function(record) {
+    return !record.removed && World.matches_(record, selector);
+  }).map(function(record) {
+    return record.entity;
+  });
+};
+
+/**
+ * @param {(function|string)} selector - constructor or tag
+ * @return {Object} the first entity of the given type or with the given tag
+ */
+World.prototype.first = function(selector) {
+  var found = this.query(selector);
+  return found.length ? found[0] : null;
+};
+
+/**
+ * @private
+ * @param {Object} record - record of the entity
+ * @param {(function|string)} selector - constructor or tag
+ * @return {boolean} - does the entity match the selector?
+ */
+World.matches_ = function(record, selector) {
+  if (selector === undefined) {
+    return true;
+  }
+  if (typeof selector === 'function') {
+    return record.entity instanceof selector;
+  }
+  return record.tags.indexOf(selector) !== -1;
+};
+
+/**
+ * @private
+ * @param {Object} entity - entity to look for
+ * @return {Object} record of the entity (if any)
+ */
+World.prototype.record_ = function(entity) {
+  for (var i = 0, l = this.records_.length; i < l; i++) {
+    if (this.records_[i].entity === entity) {
+      return this.records_[i];
+    }
+  }
+  for (i = 0, l = this.spawned_.length; i < l; i++) {
+    if (this.spawned_[i].entity === entity) {
+      return this.spawned_[i];
+    }
+  }
+  return null;
+};
+
+/**
+ * @private
+ * Drop the removed entities and let the ones spawned during the update in
+ */
+World.prototype.sweep_ = function() {
+  this.records_ = this.records_.concat(this.spawned_).filter(function(record) {
+    return !record.removed;
+  });
+  this.spawned_ = [];
+};
+
+/**
+ * Find the entities touching each other - the callbacks registered with
+ * the collisions are called
+ */
+World.prototype.collide = function() {
+  this.collisions.detect(this.records_.filter(function(record) {
+    return !record.removed && record.collision;
+  }));
+};
+
+/**
+ * Remember where everybody was - rendering interpolates from there
+ */
+World.prototype.savePositions = function() {
+  this.query().forEach(function(entity) {
+    if (entity.savePosition) {
+      entity.savePosition();
+    }
+  });
+};
+
+/**
+ * Update all the entities (in the order they were spawned) - the ones which
+ * are not alive anymore are despawned
+ * @param {number} dt - a time delta between ticks
+ */
+World.prototype.update = function(dt) {
+  // the player may slow the time down for the enemies
+  var enemyDt = dt * (this.player ? this.player.modifier('time') : 1);
+  var records = this.records_;
+
+  this.updating_ = true;
+  for (var i = 0, l = records.length; i < l; i++) {
+    var record = records[i];
+    var entity = record.entity;
+    var entityDt = (record.tags.indexOf('enemy') !== -1) ? enemyDt : dt;
+
+    // despawned by somebody else in the meantime
+    if (record.removed) {
+      continue;
+    }
+
+    if (!entity.isAlive()) {
+      record.removed = true;
+      continue;
+    }
+
+    if (entity.updateEffects) {
+      entity.updateEffects(entityDt);
+    }
+    entity.update(entityDt, this);
+
+    // the picture follows what the entity has just done
+    if (entity.updateAnimation) {
+      entity.updateAnimation(entityDt);
+    }
+  }
+  this.updating_ = false;
+
+  this.sweep_();
+};
+
+/**
+ * Draw all the entities (in between the last two simulation steps where
+ * the entity supports it) - layer by layer, the ones lower on the screen
+ * on top of the ones above them
+ * @param {CanvasRenderingContext2D} ctx - where to draw
+ * @param {number} alpha - how far in between (0 - previous, 1 - current)
+ */
+World.prototype.render = function(ctx, alpha) {
+  var visible = this.records_.filter(function(record) {
+    return !record.removed;
+  });
+
+  // the sort is stable - so the order of spawning decides the ties
+  visible.sort(function(a, b) {
+    return (a.layer - b.layer) ||
+           (World.depth_(a.entity) - World.depth_(b.entity));
+  });
+
+  visible.forEach(function(record) {
+    if (record.entity.renderInterpolated) {
+      record.entity.renderInterpolated(ctx, alpha);
+    } else {
+      record.entity.render(ctx);
+    }
+  });
+};
+
+/**
+ * @private
+ * @param {Object} entity - entity to draw
+ * @return {number} how low the entity stands on the screen
+ *     (entities without a depth all stand at the top)
+ */
+World.depth_ = function(entity) {
+  return entity.depth ? entity.depth() : 0;
+};
+
+export {World};
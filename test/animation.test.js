@@ -0,0 +1,179 @@
+/* Animation.test.js
+ * Tests of the sprite animations defined in animation.js - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {SpriteSheet, Animation} from '../js/animation.js';
+
+// the animations are stepped manually
+var DT = 1 / 60;
+
+// a sheet of 4 frames (2 in a row) and a plain image
+var sheetImage = {width: 200, height: 300};
+var image = {width: 101, height: 171};
+
+var clips = {
+  idle: {frames: [0], fps: 1, loop: true},
+  walk: {frames: [0, 1, 2, 3], fps: 10, loop: true},
+  death: {frames: [{index: 2, dy: -5}, {index: 3, alpha: 0.5}], fps: 10,
+          loop: false}
+};
+
+/**
+ * Let the animation play for the given time - in fixed steps
+ * @param {Animation} animation - animation to update
+ * @param {number} seconds - how much time should pass
+ */
+function run(animation, seconds) {
+  var steps = Math.round(seconds / DT);
+  for (var i = 0; i < steps; i++) {
+    animation.update(DT);
+  }
+}
+
+/**
+ * Context remembering what was drawn (with the horizontal scale it was
+ * drawn with)
+ * @return {Object} the context - its draws are in 'draws'
+ */
+function recorder() {
+  var ctx = {globalAlpha: 1, draws: [], scaleX_: 1, saved_: []};
+  ctx.save = function() {
+    this.saved_.push([this.globalAlpha, this.scaleX_]);
+  };
+  ctx.restore = function() {
+    var saved = this.saved_.pop();
+    this.globalAlpha = saved[0];
+    this.scaleX_ = saved[1];
+  };
+  ctx.scale = function(x) {
+    this.scaleX_ *= x;
+  };
+  ctx.drawImage = function() {
+    this.draws.push({args: Array.prototype.slice.call(arguments),
+                     alpha: this.globalAlpha, scaleX: this.scaleX_});
+  };
+  return ctx;
+}
+
+test.describe('SpriteSheet', function() {
+  test.it('cuts the sheet into frames row by row', function() {
+    var sheet = new SpriteSheet(sheetImage, 100, 150);
+    assert.strictEqual(sheet.count(), 4);
+    assert.deepStrictEqual(sheet.frame(3),
+                           {image: sheetImage, x: 100, y: 150, w: 100, h: 150});
+    assert.deepStrictEqual(sheet.frame(5), sheet.frame(1));
+  });
+
+  test.it('makes a single frame of a plain image', function() {
+    var sheet = new SpriteSheet(image);
+    assert.strictEqual(sheet.count(), 1);
+    assert.deepStrictEqual(sheet.frame(0),
+                           {image: image, x: 0, y: 0, w: 101, h: 171});
+  });
+
+  test.it('makes a frame of every image of a sequence', function() {
+    var other = {width: 50, height: 60};
+    var sheet = new SpriteSheet([image, other]);
+    assert.strictEqual(sheet.count(), 2);
+    assert.strictEqual(sheet.frame(1).image, other);
+    assert.strictEqual(sheet.frame(1).w, 50);
+  });
+});
+
+test.describe('Animation', function() {
+  test.it('starts with the first clip', function() {
+    var animation = new Animation(new SpriteSheet(sheetImage, 100, 150),
+                                  clips);
+    assert.strictEqual(animation.name, 'idle');
+    assert.strictEqual(animation.current().index, 0);
+  });
+
+  test.it('shows the frames at the frame rate of the clip', function() {
+    var animation = new Animation(new SpriteSheet(sheetImage, 100, 150),
+                                  clips, 'walk');
+    run(animation, 0.1);
+    assert.strictEqual(animation.current().index, 1);
+    run(animation, 0.2);
+    assert.strictEqual(animation.current().index, 3);
+  });
+
+  test.it('loops the looped clips', function() {
+    var animation = new Animation(new SpriteSheet(sheetImage, 100, 150),
+                                  clips, 'walk');
+    run(animation, 0.5);
+    assert.strictEqual(animation.current().index, 1);
+    assert.strictEqual(animation.isDone(), false);
+  });
+
+  test.it('stops the rest at their last frame', function() {
+    var animation = new Animation(new SpriteSheet(sheetImage, 100, 150),
+                                  clips, 'death');
+    assert.deepStrictEqual(animation.current(), {index: 2, dx: 0, dy: -5,
+        scaleX: 1, scaleY: 1, alpha: 1});
+    run(animation, 0.15);
+    assert.strictEqual(animation.isDone(), false);
+    run(animation, 0.5);
+    assert.strictEqual(animation.isDone(), true);
+    assert.strictEqual(animation.current().alpha, 0.5);
+  });
+
+  test.it('goes on with the clip playing unless restarted', function() {
+    var animation = new Animation(new SpriteSheet(sheetImage, 100, 150),
+                                  clips, 'walk');
+    run(animation, 0.2);
+    animation.play('walk');
+    assert.strictEqual(animation.current().index, 2);
+    animation.play('walk', true);
+    assert.strictEqual(animation.current().index, 0);
+  });
+
+  test.it('refuses the clips it does not have', function() {
+    var animation = new Animation(new SpriteSheet(image), clips);
+    assert.throws(function() {
+      animation.play('fly');
+    });
+  });
+
+  test.it('draws the frame into the box', function() {
+    var ctx = recorder();
+    var animation = new Animation(new SpriteSheet(sheetImage, 100, 150),
+                                  clips, 'walk');
+    run(animation, 0.1);
+    animation.draw(ctx, 10, 20, 100, 150, false);
+    assert.deepStrictEqual(ctx.draws[0].args,
+                           [sheetImage, 100, 0, 100, 150, 10, 20, 100, 150]);
+  });
+
+  test.it('moves, squashes and fades the frame', function() {
+    var ctx = recorder();
+    var animation = new Animation(new SpriteSheet(image), {
+      squash: {frames: [{dx: 4, dy: -2, scaleX: 1.2, scaleY: 0.5,
+                         alpha: 0.5}], fps: 1, loop: true}
+    });
+
+    animation.draw(ctx, 0, 0, 100, 200, false);
+    var draw = ctx.draws[0];
+    // grown around the middle, squashed down to the bottom edge
+    assert.deepStrictEqual(draw.args.slice(5), [-6, 98, 120, 100]);
+    assert.strictEqual(draw.alpha, 0.5);
+    assert.strictEqual(ctx.globalAlpha, 1);
+  });
+
+  test.it('draws the frame mirrored within the box', function() {
+    var ctx = recorder();
+    var animation = new Animation(new SpriteSheet(image), {
+      step: {frames: [{dx: 4}], fps: 1, loop: true}
+    });
+
+    animation.draw(ctx, 10, 0, 100, 200, true);
+    var draw = ctx.draws[0];
+    // flipped: drawn from the right edge of the box to the left one
+    // (moved to the left as well)
+    assert.strictEqual(draw.scaleX, -1);
+    assert.deepStrictEqual(draw.args.slice(5), [-6, 0, -100, 200]);
+    assert.strictEqual(ctx.scaleX_, 1);
+  });
+});
@@ -0,0 +1,109 @@
+/* Audio.test.js
+ * Tests of the sound effects and music defined in audio.js - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import * as Resources from '../js/resources.js';
+import {load, loadSound, memoryStorage} from './headless.js';
+import {AudioManager} from '../js/audio.js';
+
+// loading a game loads all the sounds as well
+load();
+
+/**
+ * @param {string} url - path of the sound
+ * @return {number} how many times the sound has been played so far
+ */
+function plays(url) {
+  return Resources.get(url).plays;
+}
+
+test.describe('AudioManager', function() {
+  test.it('plays the effects', function() {
+    var audio = new AudioManager();
+    var url = AudioManager.effects.bonus;
+    var before = plays(url);
+
+    audio.play('bonus');
+    audio.play('bonus');
+    assert.strictEqual(plays(url), before + 2);
+  });
+
+  test.it('plays nothing while muted', function() {
+    var audio = new AudioManager();
+    var url = AudioManager.effects.hit;
+    var before = plays(url);
+
+    assert.strictEqual(audio.toggleMute(), true);
+    audio.play('hit');
+    assert.strictEqual(plays(url), before);
+    assert.strictEqual(audio.volume('effects'), 0);
+  });
+
+  test.it('scales the volumes by the master one', function() {
+    var audio = new AudioManager();
+    audio.setVolume('master', 0.5);
+    audio.setVolume('music', 0.4);
+    assert.strictEqual(audio.volume('music'), 0.2);
+
+    audio.setVolume('effects', 1.3);
+    assert.strictEqual(audio.settings.effects, 1);
+  });
+
+  test.it('loops the music while it is resumed', function() {
+    var audio = new AudioManager();
+    var music = Resources.get(AudioManager.tracks[1]);
+
+    audio.setTrack(AudioManager.tracks[1]);
+    assert.ok(music.paused);
+    audio.resumeMusic();
+    assert.ok(!music.paused);
+    assert.ok(music.loop);
+
+    audio.setTrack(AudioManager.tracks[0]);
+    assert.ok(music.paused);
+    audio.pauseMusic();
+  });
+
+  test.it('goes on without the sounds which could not be loaded', function() {
+    var audio = new AudioManager();
+    var url = 'audio/missing.wav';
+
+    Resources.setLoader(function(url, callback, fail) {
+      fail(new Error('not supported'));
+    }, 'sound');
+    Resources.load(url);
+    Resources.setLoader(loadSound, 'sound');
+    assert.ok(Resources.isReady());
+
+    AudioManager.effects.missing = url;
+    audio.play('missing');
+    audio.setTrack(url);
+    audio.resumeMusic();
+    delete AudioManager.effects.missing;
+  });
+
+  test.it('keeps the settings for the next time', function() {
+    var saved = memoryStorage();
+    var audio = new AudioManager(saved);
+    audio.setVolume('music', 0.3);
+    audio.toggleMute();
+
+    var restored = new AudioManager(saved);
+    assert.strictEqual(restored.settings.music, 0.3);
+    assert.strictEqual(restored.settings.muted, true);
+    assert.strictEqual(restored.settings.master,
+                       AudioManager.defaults.master);
+  });
+
+  test.it('ignores the settings which make no sense', function() {
+    var saved = memoryStorage();
+    saved.setItem(AudioManager.STORAGE_KEY,
+                  JSON.stringify({master: 7, music: 'loud', muted: 1}));
+
+    assert.deepStrictEqual(new AudioManager(saved).settings,
+                           AudioManager.defaults);
+  });
+});
@@ -0,0 +1,95 @@
+/* Bindings.test.js
+ * Tests of the key bindings defined in bindings.js - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {Bindings} from '../js/bindings.js';
+import {memoryStorage} from './headless.js';
+
+test.describe('Bindings', function() {
+  test.it('starts with the default keys', function() {
+    var bindings = new Bindings();
+    assert.strictEqual(bindings.actionOf('KeyW'), 'up');
+    assert.strictEqual(bindings.actionOf('Escape'), 'pause');
+    assert.strictEqual(bindings.actionOf('KeyQ'), undefined);
+    assert.strictEqual(bindings.labelOf('confirm'), 'ENTER');
+  });
+
+  test.it('rebinds an action', function() {
+    var bindings = new Bindings();
+    assert.strictEqual(bindings.bind('pause', 'Space'), null);
+    assert.deepStrictEqual(bindings.keysOf('pause'), ['Space']);
+    assert.strictEqual(bindings.actionOf('KeyP'), undefined);
+  });
+
+  test.it('swaps the keys with the conflicting action', function() {
+    var bindings = new Bindings();
+    assert.strictEqual(bindings.bind('confirm', 'KeyW'), 'up');
+    assert.deepStrictEqual(bindings.keysOf('up'), ['ArrowUp', 'Enter']);
+    assert.strictEqual(bindings.actionOf('KeyW'), 'confirm');
+  });
+
+  test.it('never leaves an action without a key', function() {
+    var bindings = new Bindings();
+    bindings.bind('confirm', 'KeyC');
+    bindings.bind('pause', 'KeyC');
+    bindings.bind('controls', 'KeyC');
+
+    assert.deepStrictEqual(bindings.keysOf('controls'), ['KeyC']);
+    assert.deepStrictEqual(bindings.keysOf('pause'), ['Enter']);
+    assert.deepStrictEqual(bindings.keysOf('confirm'), ['KeyP', 'Escape']);
+    Object.keys(Bindings.defaults).forEach(function(action) {
+      assert.ok(bindings.keysOf(action).length, action);
+    });
+  });
+
+  test.it('refuses the reserved keys', function() {
+    var bindings = new Bindings();
+    assert.ok(bindings.isReserved('F8'));
+    assert.throws(function() {
+      bindings.bind('up', 'Backquote');
+    });
+  });
+
+  test.it('resets to the defaults', function() {
+    var bindings = new Bindings();
+    bindings.bind('up', 'KeyI');
+    bindings.reset();
+    assert.deepStrictEqual(bindings.keysOf('up'), Bindings.defaults.up);
+  });
+
+  test.it('restores the keys saved', function() {
+    var saved = memoryStorage();
+    new Bindings(saved).bind('left', 'KeyJ');
+
+    var bindings = new Bindings(saved);
+    assert.deepStrictEqual(bindings.keysOf('left'), ['KeyJ']);
+    assert.strictEqual(bindings.actionOf('KeyA'), undefined);
+  });
+
+  test.it('keeps the defaults of the actions missing', function() {
+    var bindings = new Bindings(memoryStorage({
+      'frogger.bindings': JSON.stringify({confirm: ['KeyQ', 'KeyW']})
+    }));
+    assert.deepStrictEqual(bindings.keysOf('confirm'), ['KeyQ', 'KeyW']);
+    assert.deepStrictEqual(bindings.keysOf('up'), ['ArrowUp']);
+    assert.deepStrictEqual(bindings.keysOf('pause'), Bindings.defaults.pause);
+  });
+
+  test.it('ignores the broken or conflicting keys saved', function() {
+    [
+      'not JSON',
+      JSON.stringify({up: 'KeyW'}),
+      JSON.stringify({up: ['KeyQ'], down: ['KeyQ']}),
+      JSON.stringify({pause: ['F9']}),
+      // no key left to confirm or to change the movement
+      JSON.stringify({confirm: []}),
+      JSON.stringify({confirm: ['KeyM']})
+    ].forEach(function(item) {
+      var bindings = new Bindings(memoryStorage({'frogger.bindings': item}));
+      assert.deepStrictEqual(bindings.toJSON(), Bindings.defaults);
+    });
+  });
+});
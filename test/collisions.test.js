@@ -0,0 +1,122 @@
+/* Collisions.test.js
+ * Tests of the collision detection defined in collisions.js - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {load} from './headless.js';
+import {WrappingEnemy, Rock, StarBonus, Player} from '../js/app.js';
+import {World} from '../js/world.js';
+import {Collisions} from '../js/collisions.js';
+
+// loading a game loads all the images as well
+load();
+
+/**
+ * World with the contacts of the given layers written down to the log
+ * @param {Array.<string>} log - where to write the contacts down
+ * @param {Array.<Array.<string>>} pairs - pairs of layers to watch
+ * @return {World}
+ */
+function watchedWorld(log, pairs) {
+  var world = new World(505, 606);
+
+  pairs.forEach(function(pair) {
+    var handlers = {};
+    ['enter', 'stay', 'exit'].forEach(function(event) {
+      handlers[event] = function(a, b) {
+        log.push(event + ' ' + a.constructor.name + '/' + b.constructor.name);
+      };
+    });
+    world.collisions.on(pair[0], pair[1], handlers);
+  });
+  return world;
+}
+
+test.describe('Collisions', function() {
+  test.it('tells when the contact starts, lasts and ends', function() {
+    var log = [];
+    var world = watchedWorld(log, [['player', 'enemy']]);
+    var bug = world.spawn(new WrappingEnemy(202, 290), {collision: 'enemy'});
+
+    world.spawn(new Player(202, 300), {collision: 'player'});
+    world.collide();
+    world.collide();
+    bug.x = 400;
+    world.collide();
+    world.collide();
+
+    assert.deepStrictEqual(log, [
+      'enter Player/WrappingEnemy',
+      'stay Player/WrappingEnemy',
+      'exit Player/WrappingEnemy'
+    ]);
+  });
+
+  test.it('ends the contact once an entity is gone', function() {
+    var log = [];
+    var world = watchedWorld(log, [['player', 'pickup']]);
+    var star = world.spawn(new StarBonus(202, 300), {collision: 'pickup'});
+
+    world.spawn(new Player(202, 300), {collision: 'player'});
+    world.collide();
+    world.despawn(star);
+    world.collide();
+
+    assert.deepStrictEqual(log, ['enter Player/StarBonus',
+                                 'exit Player/StarBonus']);
+  });
+
+  test.it('passes the entities in the order of the layers registered',
+      function() {
+        var log = [];
+        var world = watchedWorld(log, [['enemy', 'player']]);
+
+        world.spawn(new Player(202, 300), {collision: 'player'});
+        world.spawn(new WrappingEnemy(202, 290), {collision: 'enemy'});
+        world.collide();
+
+        assert.deepStrictEqual(log, ['enter WrappingEnemy/Player']);
+      });
+
+  test.it('leaves out the layers masked off', function() {
+    var log = [];
+    var world = watchedWorld(log,
+                             [['enemy', 'pickup'], ['enemy', 'obstacle']]);
+
+    world.spawn(new WrappingEnemy(202, 290), {collision: 'enemy'});
+    world.spawn(new StarBonus(202, 300), {collision: 'pickup'});
+    world.spawn(new Rock(202, 290), {collision: 'obstacle'});
+    world.collide();
+    assert.deepStrictEqual(log, []);
+
+    // unless the world's own masks let them collide
+    world.collisions.masks.obstacle = Collisions.layers.enemy;
+    world.collide();
+    assert.deepStrictEqual(log, ['enter WrappingEnemy/Rock']);
+  });
+
+  test.it('tests only the entities sharing a cell', function() {
+    var count = 50;
+    var world = new World(count * 101 * 3, 606);
+    var tested = 0;
+    var bugs = [];
+
+    // a row of bugs - every one of them far enough from the rest
+    for (var i = 0; i < count; i++) {
+      bugs.push(world.spawn(new WrappingEnemy(10 + i * 101 * 3, 60),
+                            {collision: 'enemy'}));
+    }
+    world.spawn(new Player(10, 60), {collision: 'player'});
+    bugs.forEach(function(bug) {
+      bug.intersects = function(other) {
+        tested += 1;
+        return WrappingEnemy.prototype.intersects.call(this, other);
+      };
+    });
+
+    world.collide();
+    assert.ok(tested < 5, tested + ' pairs tested');
+  });
+});
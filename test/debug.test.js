@@ -0,0 +1,44 @@
+/* Debug.test.js
+ * Tests of the developer overlay defined in debug.js - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {DebugOverlay} from '../js/debug.js';
+
+test.describe('DebugOverlay', function() {
+  test.it('lets all the steps through unless frozen', function() {
+    var debug = new DebugOverlay();
+    assert.strictEqual(debug.steps(3), 3);
+  });
+
+  test.it('takes only the steps asked for while frozen', function() {
+    var debug = new DebugOverlay();
+    debug.toggle();
+    debug.toggleFreeze();
+
+    assert.strictEqual(debug.steps(3), 0);
+    debug.requestStep();
+    debug.requestStep();
+    assert.strictEqual(debug.steps(1), 2);
+    assert.strictEqual(debug.steps(1), 0);
+  });
+
+  test.it('goes on once hidden', function() {
+    var debug = new DebugOverlay();
+    debug.toggle();
+    debug.toggleFreeze();
+    debug.toggle();
+    assert.strictEqual(debug.steps(2), 2);
+  });
+
+  test.it('measures the frame rate and time', function() {
+    var debug = new DebugOverlay();
+    for (var i = 0; i <= 30; i++) {
+      debug.measure(1 / 60, 4);
+    }
+    assert.ok(Math.abs(debug.fps - 60) < 1e-6);
+    assert.strictEqual(debug.frameTime, 4);
+  });
+});
@@ -0,0 +1,205 @@
+/* Effects.test.js
+ * Tests of the status effects defined in effects.js (worn by the entities
+ * of app.js) - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {load, NullRenderer} from './headless.js';
+import {Effect} from '../js/effects.js';
+import {WrappingEnemy, GameState, Hud, StarBonus, Player} from '../js/app.js';
+import {Random} from '../js/random.js';
+import {World} from '../js/world.js';
+
+// loading a game loads all the images (the icons of the effects) as well
+load();
+
+// the world is stepped manually
+var DT = 1 / 60;
+
+/**
+ * Let the world live for the given time - in fixed steps
+ * @param {World} world - world to update
+ * @param {number} seconds - how much time should pass
+ */
+function run(world, seconds) {
+  var steps = Math.round(seconds / DT);
+  for (var i = 0; i < steps; i++) {
+    world.update(DT);
+  }
+}
+
+/**
+ * @return {World} a world of the default screen with a hero of its own
+ */
+function createWorld() {
+  var world = new World(505, 606, new Random(1));
+  world.player = world.spawn(new Player(202, 405), {tags: ['player']});
+  return world;
+}
+
+/**
+ * Assert the numbers are equal (but for the rounding errors)
+ * @param {number} actual - the number computed
+ * @param {number} expected - the number expected
+ */
+function assertAbout(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-6,
+            actual + ' is not ' + expected);
+}
+
+/**
+ * Renderer remembering the texts drawn
+ * @return {NullRenderer} the renderer - its texts are in 'texts'
+ */
+function recorder() {
+  var ctx = new NullRenderer();
+  ctx.texts = [];
+  ctx.fillText = function(text) {
+    this.texts.push(text);
+  };
+  return ctx;
+}
+
+test.describe('Effect', function() {
+  test.it('refreshes the speed boost rather than compounding it', function() {
+    var world = createWorld();
+    var player = world.player;
+    var state = new GameState();
+
+    new StarBonus(0, 0).applyBonus(player, state);
+    run(world, 2);
+    new StarBonus(0, 0).applyBonus(player, state);
+
+    assert.strictEqual(player.effects().length, 1);
+    assert.strictEqual(player.modifier('speed'), 1.5);
+    assert.strictEqual(player.currentSpeed(), player.speed * 1.5);
+    assertAbout(player.effect('speed').timeLeft,
+                Effect.types.speed.duration);
+  });
+
+  test.it('extends the slow time', function() {
+    var world = createWorld();
+    var player = world.player;
+
+    player.addEffect('slowTime');
+    run(world, 1);
+    player.addEffect('slowTime');
+
+    assert.strictEqual(player.modifier('time'), 0.5);
+    assertAbout(player.effect('slowTime').timeLeft,
+                2 * Effect.types.slowTime.duration - 1);
+  });
+
+  test.it('ignores the shrinking applied once more', function() {
+    var world = createWorld();
+    var player = world.player;
+
+    player.addEffect('shrink');
+    run(world, 1);
+    player.addEffect('shrink');
+
+    assert.strictEqual(player.modifier('size'), 0.6);
+    assertAbout(player.effect('shrink').timeLeft,
+                Effect.types.shrink.duration - 1);
+  });
+
+  test.it('stacks the stacking effects up to their limit', function() {
+    Effect.types.haste = {
+      name: 'HASTE',
+      duration: 3,
+      stacking: 'stack',
+      maxStacks: 2,
+      modifiers: {speed: 2}
+    };
+    var effect = new Effect('haste');
+
+    effect.update(1);
+    effect.reapply();
+    effect.reapply();
+    delete Effect.types.haste;
+
+    assert.strictEqual(effect.stacks, 2);
+    assert.strictEqual(effect.modifier('speed'), 4);
+    assert.strictEqual(effect.timeLeft, 3);
+  });
+
+  test.it('reverts the effects once expired', function() {
+    var world = createWorld();
+    var player = world.player;
+    var bounds = player.collisionBounds();
+
+    player.addEffect('speed');
+    player.addEffect('shrink');
+    player.addEffect('invulnerable');
+    assert.ok(player.currentSpeed() > player.speed);
+    assert.ok(player.hasFlag('invulnerable'));
+
+    run(world, Effect.types.shrink.duration + 0.1);
+    assert.deepStrictEqual(player.effects(), []);
+    assert.strictEqual(player.currentSpeed(), player.speed);
+    assert.deepStrictEqual(player.collisionBounds(), bounds);
+    assert.ok(!player.hasFlag('invulnerable'));
+  });
+
+  test.it('blinks the invulnerable hero as the effect runs out', function() {
+    var world = createWorld();
+    var ctx = new NullRenderer();
+    var alphas = [];
+
+    ctx.drawImage = function() {
+      alphas.push(this.globalAlpha);
+    };
+    world.player.addEffect('invulnerable');
+    world.player.render(ctx);
+    world.player.render(ctx);
+    // into the next tenth of a second
+    run(world, 0.05);
+    world.player.render(ctx);
+
+    assert.strictEqual(alphas[0], alphas[1]);
+    assert.notStrictEqual(alphas[1], alphas[2]);
+    assert.strictEqual(ctx.globalAlpha, 1);
+  });
+
+  test.it('slows the enemies down as long as the time is slow', function() {
+    var world = createWorld();
+    var enemy = world.spawn(new WrappingEnemy(0, 60), {tags: ['enemy']});
+    var x;
+
+    world.player.addEffect('slowTime');
+    run(world, 1);
+    assertAbout(enemy.x, enemy.speed * 0.5);
+
+    run(world, Effect.types.slowTime.duration);
+    x = enemy.x;
+    run(world, 0.5);
+    assertAbout(enemy.x - x, enemy.speed * 0.5);
+  });
+});
+
+test.describe('Hud', function() {
+  test.it('counts the time left of the effects down', function() {
+    var world = createWorld();
+    var hud = new Hud(new GameState(), world, 1, 5);
+    var ctx = recorder();
+
+    world.player.addEffect('invulnerable');
+    hud.render(ctx);
+    assert.ok(ctx.texts.indexOf('4.0') !== -1);
+
+    run(world, 1.5);
+    ctx.texts = [];
+    hud.render(ctx);
+    assert.ok(ctx.texts.indexOf('2.5') !== -1);
+
+    // nothing is left of the effect once expired
+    run(world, 3);
+    ctx.texts = [];
+    hud.render(ctx);
+    assert.deepStrictEqual(ctx.texts.filter(function(text) {
+      return /^\d+\.\d$/.test(text);
+    }), []);
+  });
+});
@@ -0,0 +1,627 @@
+/* Engine.test.js
+ * Tests of the game driven by the engine without a browser - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import * as Resources from '../js/resources.js';
+import {load, memoryStorage, NullRenderer} from './headless.js';
+import {WrappingEnemy, Log, MultiText, Chronos, GameState, GemBonus,
+        Remains, Player} from '../js/app.js';
+import {Recorder} from '../js/recorder.js';
+import {AudioManager} from '../js/audio.js';
+
+var ctx = new NullRenderer();
+var game = load(undefined, ctx);
+
+// key codes
+var KEY_UP = 'ArrowUp';
+var KEY_PAUSE = 'KeyP';
+var KEY_DEBUG = 'Backquote';
+
+/**
+ * Start a fresh run of the first level with no enemies around
+ * (nor the lanes emitting them)
+ */
+function startAlone() {
+  game.start(1);
+  var world = game.world();
+  world.query('enemy').concat(world.query('lane')).forEach(function(entity) {
+    world.despawn(entity);
+  });
+}
+
+/**
+ * Press and release the key - the hero hops one tile
+ * @param {string} code - key to press
+ */
+function hop(code) {
+  game.keydown(code);
+  game.keyup(code);
+  game.advance(0.25);
+}
+
+/**
+ * Press and release the key
+ * @param {Object} target - the game
+ * @param {string} code - key to press
+ */
+function press(target, code) {
+  target.keydown(code);
+  target.keyup(code);
+}
+
+/**
+ * Start a fresh run of the first level with a river (the fourth one)
+ * with no enemies nor platforms around - the player stands on the river
+ * bank (the third row)
+ */
+function startAtRiver() {
+  game.start(1, 3);
+  var world = game.world();
+  world.query('enemy').concat(world.query('platform')).forEach(
+      function(entity) {
+        world.despawn(entity);
+      });
+  world.player.y = 3 * 83 - 10;
+}
+
+/**
+ * Float a log down the river (second row) right under the player
+ * standing on the bank
+ * @param {number} x - x-value of the log
+ * @return {Log}
+ */
+function floatLog(x) {
+  var world = game.world();
+  return world.spawn(new Log(x, 2 * 83 - 23, 2),
+                     {layer: 'ground', tags: ['platform'],
+                      collision: 'platform'});
+}
+
+/**
+ * Put an enemy right onto the player
+ */
+function hitPlayer() {
+  var world = game.world();
+  world.spawn(new WrappingEnemy(world.player.x, world.player.y),
+              {tags: ['enemy'], collision: 'enemy'});
+}
+
+/**
+ * Start the first level with the given hero with no enemies around (nor
+ * the lanes emitting them) -
+ * played back as a recording of the given input (the only way to pick
+ * the hero without going through the title screens)
+ * @param {number} characterIndex - index of the hero in Player.characters
+ * @param {string} movement - how the hero moves ('free' or 'grid')
+ * @param {Array.<Array>} events - [tick, action, pressed] triples
+ */
+function playAs(characterIndex, movement, events) {
+  game.playback({
+    version: Recorder.VERSION,
+    seed: 1,
+    level: 0,
+    character: Player.characters[characterIndex].id,
+    step: 1 / 60,
+    movement: movement,
+    ticks: 180,
+    events: events
+  });
+  var world = game.world();
+  world.query('enemy').concat(world.query('lane')).forEach(function(entity) {
+    world.despawn(entity);
+  });
+}
+
+/**
+ * Play a recording of a run back with the given parts of it broken - it
+ * should be refused: the run goes on as it was, telling the players so
+ * @param {Object} changes - parts of the recording to replace
+ */
+function assertRefused(changes) {
+  game.start(1);
+  game.advance(0.5);
+  var recording = game.recording();
+  var tick = game.status().tick;
+
+  Object.keys(changes).forEach(function(key) {
+    recording[key] = changes[key];
+  });
+  game.playback(recording);
+
+  assert.strictEqual(game.status().tick, tick, JSON.stringify(changes));
+  assert.ok(game.world().query(MultiText).some(function(text) {
+    return text.texts[0].text === 'INVALID';
+  }), JSON.stringify(changes));
+}
+
+test.describe('Engine', function() {
+  test.it('starts on the title screen', function() {
+    assert.strictEqual(game.status().state, 'title');
+  });
+
+  test.it('renders without a canvas', function() {
+    game.start(1);
+    game.render();
+    assert.ok(ctx.calls.drawImage > 0);
+  });
+
+  test.it('builds the same board from the same seed', function() {
+    var boards = [1, 2].map(function() {
+      game.start(123);
+      return game.world().query('enemy').map(function(enemy) {
+        return enemy.constructor.name + '@' + enemy.x;
+      }).join(' ');
+    });
+
+    assert.strictEqual(boards[0], boards[1]);
+  });
+
+  test.it('takes a life when the time is up', function() {
+    startAlone();
+    var chronos = game.world().first(Chronos);
+
+    game.advance(chronos.timeLeft() - 0.1);
+    assert.ok(chronos.isAlive());
+    assert.strictEqual(game.status().lives, GameState.LIVES);
+
+    game.advance(0.2);
+    assert.strictEqual(game.status().lives, GameState.LIVES - 1);
+    assert.notStrictEqual(game.world().first(Chronos), chronos);
+  });
+
+  test.it('takes a life when an enemy hits the player', function() {
+    startAlone();
+    hitPlayer();
+
+    game.advance(0.1);
+    assert.strictEqual(game.status().lives, GameState.LIVES - 1);
+  });
+
+  test.it('leaves the remains of the hero for a while', function() {
+    startAlone();
+    var x = game.world().player.x + 101;
+    game.world().player.x = x;
+    hitPlayer();
+
+    game.advance(0.1);
+    var remains = game.world().query(Remains);
+    assert.strictEqual(remains.length, 1);
+    assert.strictEqual(remains[0].x, x);
+
+    game.advance(1);
+    assert.strictEqual(game.world().query(Remains).length, 0);
+  });
+
+  test.it('ends the run when there are no lives left', function() {
+    startAlone();
+    for (var i = 0; i < GameState.LIVES; i++) {
+      hitPlayer();
+      game.advance(0.1);
+    }
+    assert.strictEqual(game.status().state, 'gameOver');
+  });
+
+  test.it('completes the level once the water is reached', function() {
+    startAlone();
+
+    // the hero starts in the sixth row
+    for (var i = 0; i < 5; i++) {
+      assert.strictEqual(game.status().state, 'playing');
+      hop(KEY_UP);
+    }
+
+    var status = game.status();
+    assert.strictEqual(status.state, 'levelComplete');
+    assert.ok(status.score > 0);
+  });
+
+  test.it('completes the level walking freely with every hero', function() {
+    Player.characters.forEach(function(character, i) {
+      // a recording goes on to the next level by itself
+      playAs(i, 'free', [[0, 'up', true]]);
+      game.advance(3);
+      assert.strictEqual(game.status().level, 1, character.name);
+    });
+  });
+
+  test.it('completes the level hopping with every hero', function() {
+    var events = [];
+    for (var hops = 0; hops < 5; hops++) {
+      events.push([hops * 15, 'up', true], [hops * 15 + 1, 'up', false]);
+    }
+
+    Player.characters.forEach(function(character, i) {
+      playAs(i, 'grid', events);
+      game.advance(1.5);
+      assert.strictEqual(game.status().level, 1, character.name);
+    });
+  });
+
+  test.it('fails the player hit right on the goal line', function() {
+    startAlone();
+    var player = game.world().player;
+    player.y = player.goalY;
+    hitPlayer();
+    game.advance(0.1);
+
+    assert.strictEqual(game.status().state, 'playing');
+    assert.strictEqual(game.status().level, 0);
+    assert.strictEqual(game.status().lives, GameState.LIVES - 1);
+  });
+
+  test.it('places the level entities in the first column', function() {
+    // the third level has a blue gem in the first column, the second one
+    // a bug starting from the left edge
+    game.start(1, 2);
+    assert.ok(game.world().query(GemBonus).some(function(gem) {
+      return gem.x === 0;
+    }));
+
+    game.start(1, 1);
+    assert.ok(game.world().query(WrappingEnemy).some(function(enemy) {
+      return enemy.x === 0;
+    }));
+  });
+
+  test.it('keeps the player out of the gates until unlocked', function() {
+    // the fourth level is gated in the first column
+    game.start(1, 3);
+    var world = game.world();
+    world.query('enemy').concat(world.query('lane')).forEach(function(entity) {
+      world.despawn(entity);
+    });
+    var player = world.player;
+    player.x = 0;
+    player.y = 83 - 10;
+
+    hop(KEY_UP);
+    assert.strictEqual(player.y, 83 - 10);
+    assert.strictEqual(game.status().state, 'playing');
+
+    player.hasKey = true;
+    hop(KEY_UP);
+    assert.strictEqual(game.status().state, 'levelComplete');
+  });
+
+  test.it('lets the player pick up the key of the last level', function() {
+    // the key is in the first column of the fifth row - next to a rock,
+    // reached from the lane below it
+    game.start(1, 4);
+    var world = game.world();
+    world.query('enemy').concat(world.query('lane')).forEach(function(entity) {
+      world.despawn(entity);
+    });
+
+    [KEY_UP, KEY_UP, 'ArrowLeft', 'ArrowLeft', 'ArrowLeft', KEY_UP].forEach(
+        hop);
+    assert.strictEqual(world.player.hasKey, true);
+  });
+
+  test.it('hops one tile per key press', function() {
+    startAlone();
+    var player = game.world().player;
+    var y = player.y;
+
+    game.keydown(KEY_UP);
+    game.advance(1);
+    assert.strictEqual(player.y, y - 83);
+    game.keyup(KEY_UP);
+  });
+
+  test.it('completes the level walking freely as well', function() {
+    var free = load(1, null, 'free');
+
+    free.start();
+    free.world().query('lane').forEach(function(lane) {
+      free.world().despawn(lane);
+    });
+    free.world().query('enemy').forEach(function(enemy) {
+      free.world().despawn(enemy);
+    });
+    free.keydown(KEY_UP);
+    free.advance(3);
+    free.keyup(KEY_UP);
+
+    assert.strictEqual(free.status().state, 'levelComplete');
+  });
+
+  test.it('stands still while paused', function() {
+    startAlone();
+    var chronos = game.world().first(Chronos);
+    var timeLeft = chronos.timeLeft();
+
+    game.keydown(KEY_PAUSE);
+    game.keyup(KEY_PAUSE);
+    game.advance(1);
+    assert.strictEqual(game.status().state, 'paused');
+    assert.strictEqual(chronos.timeLeft(), timeLeft);
+
+    game.keydown(KEY_PAUSE);
+    game.keyup(KEY_PAUSE);
+    game.advance(1);
+    assert.ok(chronos.timeLeft() < timeLeft);
+  });
+
+  test.it('plays a recording back exactly', function() {
+    game.start(99);
+    game.keydown(KEY_UP);
+    game.advance(0.5);
+    game.keyup(KEY_UP);
+    game.advance(2);
+
+    var recording = game.recording();
+    var player = game.world().player;
+    var position = [player.x, player.y];
+
+    game.playback(recording);
+    game.advance(2.5);
+    player = game.world().player;
+    assert.deepStrictEqual([player.x, player.y], position);
+  });
+
+  test.it('refuses a recording of an unknown level', function() {
+    [-1, 1.5, 99, '2', null].forEach(function(level) {
+      assertRefused({level: level});
+    });
+  });
+
+  test.it('refuses a recording with no seed or length', function() {
+    assertRefused({seed: 'x'});
+    assertRefused({seed: NaN});
+    assertRefused({ticks: Infinity});
+    assertRefused({ticks: null});
+  });
+
+  test.it('refuses a recording of an unknown movement', function() {
+    assertRefused({movement: 'fly'});
+  });
+
+  test.it('refuses a recording with broken input', function() {
+    [
+      'up',
+      ['up'],
+      [[0, 'up']],
+      [[0, 'jump', true]],
+      [['0', 'up', true]],
+      [[0, 'up', 1]]
+    ].forEach(function(events) {
+      assertRefused({events: events});
+    });
+  });
+
+  test.it('runs side by side with another game', function() {
+    var other = load();
+
+    game.start(5);
+    other.start(5);
+    game.keydown(KEY_UP);
+    game.advance(0.5);
+    other.advance(0.5);
+    game.keyup(KEY_UP);
+
+    assert.ok(game.world().player.y < other.world().player.y);
+    assert.strictEqual(game.status().tick, other.status().tick);
+    assert.deepStrictEqual(
+        game.world().query('enemy').map(function(enemy) { return enemy.x; }),
+        other.world().query('enemy').map(function(enemy) { return enemy.x; }));
+  });
+
+  test.it('shows the developer overlay on its key', function() {
+    game.start(1);
+    game.keydown(KEY_DEBUG);
+    var texts = ctx.calls.fillText || 0;
+    game.render();
+    assert.ok((ctx.calls.fillText || 0) > texts);
+    game.keydown(KEY_DEBUG);
+  });
+
+  test.it('spawns enemies on command', function() {
+    startAlone();
+    game.commands.spawnEnemy('bouncing', 2);
+    game.commands.spawnEnemy('wild');
+
+    var enemies = game.world().query('enemy');
+    assert.strictEqual(enemies.length, 2);
+    assert.strictEqual(enemies[0].constructor.name, 'BouncingEnemy');
+  });
+
+  test.it('gives a bonus on command', function() {
+    startAlone();
+    game.commands.giveBonus('heart');
+    assert.strictEqual(game.status().lives, GameState.LIVES + 1);
+  });
+
+  test.it('refuses the enemies and bonuses of unknown types', function() {
+    var texts = [];
+    var fillText = ctx.fillText;
+
+    startAlone();
+    assert.strictEqual(game.commands.spawnEnemy('dragon'), false);
+    assert.strictEqual(game.world().query('enemy').length, 0);
+    assert.strictEqual(game.commands.giveBonus('cake'), false);
+    assert.strictEqual(game.status().lives, GameState.LIVES);
+
+    // the overlay tells what went wrong
+    ctx.fillText = function(text) {
+      texts.push(text);
+    };
+    game.keydown(KEY_DEBUG);
+    game.render();
+    game.keydown(KEY_DEBUG);
+    ctx.fillText = fillText;
+    assert.ok(texts.indexOf('unknown bonus cake') !== -1);
+
+    assert.strictEqual(game.commands.spawnEnemy('wild'), true);
+    assert.strictEqual(game.commands.giveBonus('heart'), true);
+  });
+
+  test.it('skips the level on command', function() {
+    game.start(1);
+    game.commands.skipLevel();
+    assert.strictEqual(game.status().level, 1);
+    assert.strictEqual(game.status().state, 'playing');
+  });
+
+  test.it('keeps the invulnerable player alive', function() {
+    startAlone();
+    assert.strictEqual(game.commands.toggleInvulnerable(), true);
+    hitPlayer();
+    game.advance(0.1);
+    assert.strictEqual(game.status().lives, GameState.LIVES);
+    game.commands.toggleInvulnerable();
+  });
+
+  test.it('drowns the player in the river', function() {
+    startAtRiver();
+    hop(KEY_UP);
+    assert.strictEqual(game.status().lives, GameState.LIVES - 1);
+  });
+
+  test.it('carries the player along on a log', function() {
+    startAtRiver();
+    var player = game.world().player;
+    var log = floatLog(player.x - 50);
+
+    hop(KEY_UP);
+    var x = player.x;
+    game.advance(0.5);
+
+    assert.strictEqual(game.status().lives, GameState.LIVES);
+    assert.strictEqual(game.world().player, player);
+    assert.ok(Math.abs(player.x - x - log.speed * 0.5) < 1);
+  });
+
+  test.it('drowns the player carried off the screen', function() {
+    startAtRiver();
+    var player = game.world().player;
+    floatLog(player.x - 50);
+
+    hop(KEY_UP);
+    game.advance(5);
+    assert.strictEqual(game.status().lives, GameState.LIVES - 1);
+  });
+
+  test.it('keeps the lanes full of traffic', function() {
+    game.start(3);
+    game.advance(20);
+
+    var world = game.world();
+    assert.strictEqual(world.query('lane').length, 3);
+    assert.ok(world.query('enemy').length >= 3);
+    world.query('enemy').forEach(function(enemy) {
+      assert.ok(!enemy.hasLeftScreen());
+    });
+  });
+
+  test.it('ignores the keys of no action', function() {
+    startAlone();
+    var player = game.world().player;
+    var position = [player.x, player.y];
+
+    press(game, 'KeyQ');
+    game.advance(0.5);
+    assert.deepStrictEqual([player.x, player.y], position);
+  });
+
+  test.it('rebinds the keys on the controls screen', function() {
+    var rebound = load(1, null, 'grid', memoryStorage());
+
+    press(rebound, 'KeyC');
+    assert.strictEqual(rebound.status().state, 'controls');
+    // down to the pause (the sixth row)
+    for (var i = 0; i < 5; i++) {
+      press(rebound, 'ArrowDown');
+    }
+    press(rebound, 'Enter');
+    press(rebound, 'Space');
+    press(rebound, 'Escape');
+    assert.strictEqual(rebound.status().state, 'title');
+
+    rebound.start(1);
+    press(rebound, 'KeyP');
+    assert.strictEqual(rebound.status().state, 'playing');
+    press(rebound, 'Space');
+    assert.strictEqual(rebound.status().state, 'paused');
+  });
+
+  test.it('keeps the keys rebound for the next game', function() {
+    var storage = memoryStorage();
+    var first = load(1, null, 'grid', storage);
+
+    // the first row is up - it gets the confirm's key
+    press(first, 'KeyC');
+    press(first, 'Enter');
+    press(first, 'Enter');
+
+    var second = load(1, null, 'grid', storage);
+    second.start(1);
+    var player = second.world().player;
+    var y = player.y;
+
+    press(second, 'Enter');
+    second.advance(0.25);
+    assert.strictEqual(player.y, y - 83);
+  });
+
+  test.it('resets the keys to the defaults', function() {
+    var reset = load(1, null, 'grid', memoryStorage());
+
+    press(reset, 'KeyC');
+    press(reset, 'Enter');
+    press(reset, 'KeyC');
+    // up from the first row gets to the last one (back) and then reset
+    press(reset, 'ArrowUp');
+    press(reset, 'ArrowUp');
+    press(reset, 'Enter');
+    press(reset, 'Escape');
+    press(reset, 'KeyC');
+    assert.strictEqual(reset.status().state, 'controls');
+  });
+
+  test.it('plays the sounds of the events', function() {
+    var hit = Resources.get(AudioManager.effects.hit);
+    var warning = Resources.get(AudioManager.effects.warning);
+    var plays = [hit.plays, warning.plays];
+
+    startAlone();
+    hitPlayer();
+    game.advance(0.1);
+    assert.strictEqual(hit.plays, plays[0] + 1);
+
+    game.advance(10);
+    assert.strictEqual(warning.plays, plays[1] + 1);
+  });
+
+  test.it('plays the music of the level along with the game', function() {
+    var music = Resources.get(AudioManager.tracks[1]);
+
+    game.start(1, 3);
+    assert.ok(!music.paused);
+    press(game, KEY_PAUSE);
+    assert.ok(music.paused);
+    press(game, KEY_PAUSE);
+    assert.ok(!music.paused);
+  });
+
+  test.it('sets the volume on the sound screen', function() {
+    var storage = memoryStorage();
+    var sound = load(1, null, 'grid', storage);
+
+    press(sound, 'KeyV');
+    assert.strictEqual(sound.status().state, 'sound');
+    press(sound, 'ArrowLeft');
+    press(sound, 'ArrowDown');
+    press(sound, 'ArrowDown');
+    press(sound, 'ArrowDown');
+    press(sound, 'Enter');
+    press(sound, 'Escape');
+    assert.strictEqual(sound.status().state, 'title');
+
+    var settings = new AudioManager(storage).settings;
+    assert.strictEqual(settings.master, 0.9);
+    assert.strictEqual(settings.muted, true);
+  });
+});
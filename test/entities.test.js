@@ -0,0 +1,547 @@
+/* Entities.test.js
+ * Tests of the entities defined in app.js - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {load, NullRenderer} from './headless.js';
+import {Enemy, WrappingEnemy, BouncingEnemy, WildEnemy, Rock, Log, Turtles,
+        Chronos, GameState, Bonus, StarBonus, GemBonus, HeartBonus, KeyBonus,
+        Player, Remains} from '../js/app.js';
+import {Random} from '../js/random.js';
+import {World} from '../js/world.js';
+
+// loading a game loads all the images as well
+load();
+
+// the game loop is not running - entities are stepped manually
+var DT = 1 / 60;
+
+// the entities live in a world of their own - the default screen
+var world = new World(Enemy.SCREEN_WIDTH, Enemy.SCREEN_HEIGHT);
+var canvas = {width: world.width, height: world.height};
+
+/**
+ * Update the entity for the given time - in fixed steps
+ * @param {Enemy} entity - entity to update
+ * @param {number} seconds - how much time should pass
+ */
+function run(entity, seconds) {
+  for (var t = 0; t < seconds; t += DT) {
+    entity.update(DT, world);
+  }
+}
+
+/**
+ * Update the entity and its animation for the given time - in fixed steps
+ * (the way the world does)
+ * @param {Enemy} entity - entity to update
+ * @param {number} seconds - how much time should pass
+ */
+function animate(entity, seconds) {
+  for (var t = 0; t < seconds; t += DT) {
+    entity.update(DT, world);
+    entity.updateAnimation(DT);
+  }
+}
+
+test.describe('Enemy', function() {
+  test.it('stands at the edges of the screen if placed there', function() {
+    var rock = new Rock(0, 0);
+    assert.strictEqual(rock.x, 0);
+    assert.strictEqual(rock.y, 0);
+  });
+});
+
+test.describe('WrappingEnemy', function() {
+  test.it('moves right with its speed', function() {
+    var enemy = new WrappingEnemy(10, 60);
+    enemy.update(0.5);
+    assert.strictEqual(enemy.x, 10 + enemy.speed / 2);
+  });
+
+  test.it('re-enters from the left past the right edge', function() {
+    var enemy = new WrappingEnemy(canvas.width - 1, 60);
+    enemy.update(DT);
+    assert.strictEqual(enemy.x, 0);
+  });
+
+  test.it('re-enters from the right past the left edge', function() {
+    var enemy = new WrappingEnemy(1, 60);
+    enemy.goingRight = false;
+    enemy.update(DT);
+    assert.ok(enemy.x > canvas.width - enemy.w);
+  });
+
+  test.it('hits with the part wrapped around', function() {
+    var enemy = new WrappingEnemy(canvas.width - 50, 60);
+    var boxes = enemy.boundingBoxes();
+
+    assert.strictEqual(boxes.length, 2);
+    assert.strictEqual(boxes[1].left, 0);
+    assert.strictEqual(boxes[1].right, enemy.rectBounds.right - 50);
+  });
+
+  test.it('leaves for good when passing by', function() {
+    var enemy = new WrappingEnemy(canvas.width - 50, 60);
+    enemy.passing = true;
+
+    assert.strictEqual(enemy.boundingBoxes().length, 1);
+    run(enemy, 0.5);
+    assert.ok(enemy.x > canvas.width);
+    assert.ok(!enemy.isAlive());
+  });
+});
+
+test.describe('BouncingEnemy', function() {
+  test.it('turns around at the right edge', function() {
+    var enemy = new BouncingEnemy(canvas.width - 1, 60);
+    enemy.update(DT);
+    assert.strictEqual(enemy.goingRight, false);
+    assert.strictEqual(enemy.x, canvas.width);
+  });
+
+  test.it('turns around at the left edge', function() {
+    var enemy = new BouncingEnemy(10, 60);
+    enemy.x = -enemy.rectBounds.right + 1;
+    enemy.goingRight = false;
+    enemy.update(DT);
+    assert.strictEqual(enemy.goingRight, true);
+  });
+
+  test.it('bounces off obstacles', function() {
+    var enemy = new BouncingEnemy(10, 60);
+    var rock = new Rock(enemy.rectBounds.right + 20, 60);
+
+    enemy.obstacles = [rock];
+    run(enemy, 0.5);
+
+    assert.strictEqual(enemy.goingRight, false);
+    assert.ok(!Enemy.rectsOverlap(enemy.solidBox(), rock.solidBox()));
+  });
+
+  test.it('bounces off obstacles reached right at the edge', function() {
+    // the rock sticks out of the screen - the enemy turns around at
+    // the edge right into it
+    var enemy = new BouncingEnemy(canvas.width - 1, 60);
+    var rock = new Rock(canvas.width - 50, 60);
+
+    enemy.obstacles = [rock];
+    enemy.update(DT);
+
+    assert.strictEqual(enemy.goingRight, false);
+    assert.ok(enemy.x < rock.x);
+    assert.ok(!Enemy.rectsOverlap(enemy.solidBox(), rock.solidBox()));
+  });
+
+  test.it('passes by the obstacles in its way', function() {
+    var enemy = new BouncingEnemy(10, 60);
+    var rock = new Rock(enemy.rectBounds.right + 20, 60);
+
+    enemy.passing = true;
+    enemy.obstacles = [rock];
+    run(enemy, 0.5);
+
+    assert.strictEqual(enemy.goingRight, true);
+    assert.ok(enemy.x > 10 + enemy.speed * 0.4);
+  });
+
+  test.it('leaves for good when passing by', function() {
+    var enemy = new BouncingEnemy(10, 60);
+    enemy.passing = true;
+    enemy.goingRight = false;
+
+    assert.ok(enemy.isAlive());
+    run(enemy, 0.5);
+    assert.strictEqual(enemy.goingRight, false);
+    assert.ok(!enemy.isAlive());
+  });
+});
+
+test.describe('WildEnemy', function() {
+  test.it('makes the same decisions with the same seed', function() {
+    var speeds = [1, 2].map(function() {
+      var enemy = new WildEnemy(200, 60);
+      var seen = [];
+
+      world.random = new Random(42);
+      for (var i = 0; i < 10; i++) {
+        run(enemy, enemy.decisionTime_);
+        seen.push(enemy.speed + (enemy.goingRight ? 'R' : 'L'));
+      }
+      return seen.join(' ');
+    });
+
+    assert.strictEqual(speeds[0], speeds[1]);
+  });
+
+  test.it('keeps its speed within limits', function() {
+    var enemy = new WildEnemy(200, 60);
+
+    world.random = new Random(7);
+    for (var i = 0; i < 100; i++) {
+      run(enemy, enemy.decisionTime_);
+      assert.ok(enemy.speed >= enemy.minSpeed_);
+      assert.ok(enemy.speed <= enemy.maxSpeed_);
+    }
+  });
+});
+
+test.describe('Bonus', function() {
+  test.it('falls down and dies off the screen', function() {
+    var bonus = new StarBonus(100, 10);
+
+    run(bonus, 1);
+    assert.ok(bonus.y > 10);
+    assert.ok(bonus.isAlive());
+
+    run(bonus, canvas.height / bonus.speed);
+    assert.ok(!bonus.isAlive());
+  });
+
+  test.it('stays on its tile unless falling', function() {
+    var bonus = new GemBonus(100, 60, 'green');
+
+    bonus.falling = false;
+    run(bonus, 10);
+    assert.strictEqual(bonus.y, 60);
+    assert.ok(bonus.isAlive());
+  });
+
+  test.it('is caught by the player it intersects', function() {
+    var player = new Player(100, 60);
+    var far = new Player(300, 300);
+    var bonus = new StarBonus(100, 60);
+
+    assert.ok(bonus.intersects(player));
+    assert.ok(!bonus.intersects(far));
+  });
+
+  test.it('rewards the receiver and dies', function() {
+    var state = new GameState();
+    var player = new Player(100, 60);
+    var gem = new GemBonus(100, 60, 'orange');
+    var heart = new HeartBonus(100, 60);
+    var key = new KeyBonus(100, 60);
+    var star = new StarBonus(100, 60);
+
+    gem.applyBonus(player, state);
+    heart.applyBonus(player, state);
+    key.applyBonus(player, state);
+    star.applyBonus(player, state);
+
+    assert.strictEqual(state.score,
+                       GemBonus.colors.orange.points + 3 * star.points);
+    assert.strictEqual(state.lives, GameState.LIVES + 1);
+    assert.ok(player.hasKey);
+    assert.ok(player.effect('speed'));
+    assert.ok(!gem.isAlive());
+  });
+});
+
+test.describe('Enemy.touches', function() {
+  test.it('misses the transparent corners of the bug', function() {
+    var bug = new WrappingEnemy(200, 60);
+    // the lower left corner of the star box is inside the bug box
+    var star = new StarBonus(276, 10);
+
+    assert.ok(bug.intersects(star));
+    assert.ok(!bug.touches(star));
+  });
+
+  test.it('hits with the nose of the bug', function() {
+    var bug = new WrappingEnemy(200, 60);
+    var star = new StarBonus(200 + bug.w - 20, 60);
+
+    assert.ok(bug.touches(star));
+  });
+
+  test.it('turns the hitbox along with the sprite', function() {
+    var bug = new BouncingEnemy(200, 60);
+    // a pebble under the lower right part of the bug - the bulky rear
+    // is there once the bug turns around
+    var pebble = new Rock(200, 60);
+
+    pebble.rectBounds = {left: 80, top: 134, right: 84, bottom: 138};
+    assert.ok(!bug.touches(pebble));
+    bug.goingRight = false;
+    assert.ok(bug.touches(pebble));
+  });
+
+  test.it('hits with the part wrapped around', function() {
+    var bug = new WrappingEnemy(canvas.width - 50, 60);
+    var star = new StarBonus(-20, 60);
+
+    assert.ok(bug.touches(star));
+  });
+
+  test.it('uses the bounding box of the enemy without a hitbox', function() {
+    var rock = new Rock(200, 60);
+    var player = new Player(200, 60);
+
+    assert.strictEqual(rock.hitShapes(), null);
+    assert.ok(player.touches(rock));
+  });
+});
+
+test.describe('Player.forceScreenBounds', function() {
+  test.it('keeps the player within the screen', function() {
+    var player = new Player(0, 0);
+    var b = player.rectBounds;
+    var screen = player.screenBounds;
+
+    player.x = -1000;
+    player.y = -1000;
+    player.forceScreenBounds();
+    assert.strictEqual(player.x + b.left, screen.x);
+    assert.strictEqual(player.y + b.top, screen.y);
+
+    player.x = 1000;
+    player.y = 1000;
+    player.forceScreenBounds();
+    assert.strictEqual(player.x + b.right, screen.width);
+    assert.strictEqual(player.y + b.bottom, screen.height);
+  });
+
+  test.it('leaves the player on the screen alone', function() {
+    var player = new Player(202, 405);
+
+    player.forceScreenBounds();
+    assert.strictEqual(player.x, 202);
+    assert.strictEqual(player.y, 405);
+  });
+});
+
+test.describe('Player hopping', function() {
+  test.it('hops exactly one tile per key press', function() {
+    var player = new Player(202, 405, 'boy', 'grid');
+
+    player.handleInput('up', true);
+    run(player, 0.05);
+    assert.ok(player.isHopping());
+    assert.ok(player.lift() > 0);
+
+    run(player, 1);
+    assert.strictEqual(player.x, 202);
+    assert.strictEqual(player.y, 405 - 83);
+    assert.ok(!player.isHopping());
+    assert.strictEqual(player.lift(), 0);
+  });
+
+  test.it('remembers the keys pressed while hopping', function() {
+    var player = new Player(202, 405, 'boy', 'grid');
+
+    player.handleInput('left', true);
+    player.handleInput('left', false);
+    run(player, 0.05);
+    player.handleInput('up', true);
+    player.handleInput('up', false);
+    run(player, 1);
+
+    assert.strictEqual(player.x, 202 - 101);
+    assert.strictEqual(player.y, 405 - 83);
+  });
+
+  test.it('does not hop onto obstacles or off the screen', function() {
+    var player = new Player(404, 405, 'boy', 'grid');
+
+    player.obstacles = [new Rock(404, 4 * 83 - 23)];
+    player.handleInput('up', true);
+    player.handleInput('right', true);
+    run(player, 1);
+
+    assert.strictEqual(player.x, 404);
+    assert.strictEqual(player.y, 405);
+  });
+
+  test.it('reaches the water landing on the goal row', function() {
+    var player = new Player(202, 73, 'boy', 'grid');
+
+    player.handleInput('up', true);
+    run(player, 0.05);
+    assert.ok(!player.reachedWater());
+    run(player, 1);
+    assert.ok(player.reachedWater());
+  });
+
+  test.it('walks freely for as long as the key is held', function() {
+    var player = new Player(202, 405);
+
+    player.handleInput('up', true);
+    run(player, 0.5);
+    assert.ok(405 - player.y > 83);
+    assert.ok(!player.isHopping());
+  });
+});
+
+test.describe('Platform', function() {
+  test.it('carries the player standing on it', function() {
+    var log = new Log(100, 60, 2);
+    var player = new Player(150, 73);
+
+    assert.ok(log.carries(player));
+    run(log, 0.5);
+    player.ride(log);
+    assert.ok(Math.abs(player.x - (150 + log.drift())) < 1e-9);
+    assert.ok(log.drift() > 0);
+  });
+
+  test.it('carries nobody beside it', function() {
+    var log = new Log(100, 60, 2);
+
+    assert.ok(!log.carries(new Player(300, 73)));
+    assert.ok(!log.carries(new Player(150, 156)));
+  });
+
+  test.it('carries with the part wrapped around', function() {
+    var log = new Log(404, 60, 2);
+
+    assert.ok(log.carries(new Player(10, 73)));
+  });
+
+  test.it('drifts the same way across the edge', function() {
+    var log = new Log(504, 60, 2);
+
+    log.update(DT);
+    assert.strictEqual(log.x, 0);
+    assert.ok(log.drift() > 0);
+  });
+});
+
+test.describe('Turtles', function() {
+  test.it('dive every now and then', function() {
+    var turtles = new Turtles(100, 60, 3);
+    var player = new Player(150, 73);
+    var c = Turtles.cycle;
+
+    assert.ok(turtles.carries(player));
+    run(turtles, c.up + c.sinking / 2);
+    assert.ok(turtles.submersion() > 0);
+    assert.ok(turtles.carries(player));
+
+    run(turtles, c.sinking / 2 + c.under / 2);
+    assert.ok(turtles.isSubmerged());
+    assert.ok(!turtles.carries(player));
+
+    run(turtles, c.under / 2 + c.rising);
+    assert.strictEqual(turtles.submersion(), 0);
+  });
+
+  test.it('start later in the cycle with a phase', function() {
+    var c = Turtles.cycle;
+    var turtles = new Turtles(100, 60, 2, c.up + c.sinking + 0.1);
+
+    assert.ok(turtles.isSubmerged());
+  });
+});
+
+test.describe('Player.isOffScreen', function() {
+  test.it('tells when the ride took the player past the edge', function() {
+    var player = new Player(404, 73);
+
+    assert.ok(!player.isOffScreen());
+    player.x += 30;
+    assert.ok(player.isOffScreen());
+  });
+});
+
+test.describe('Chronos', function() {
+  test.it('warns once the time is almost up', function() {
+    var warnings = 0;
+    var expired = 0;
+    var chronos = new Chronos(10, function() {
+      expired += 1;
+    }, function() {
+      warnings += 1;
+    });
+
+    run(chronos, 6.9);
+    assert.strictEqual(warnings, 0);
+    run(chronos, 0.2);
+    assert.strictEqual(warnings, 1);
+    run(chronos, 2.8);
+    assert.strictEqual(warnings, 1);
+    assert.strictEqual(expired, 0);
+  });
+});
+
+test.describe('Animations', function() {
+  test.it('let the bugs walk and the rocks stand still', function() {
+    var bug = new BouncingEnemy(100, 60);
+    var rock = new Rock(202, 60);
+
+    animate(bug, 0.2);
+    animate(rock, 0.2);
+    assert.strictEqual(bug.animation.name, 'walk');
+    assert.notStrictEqual(bug.animation.current().dy, 0);
+    assert.strictEqual(rock.animation.name, 'idle');
+  });
+
+  test.it('play the clips of their own', function() {
+    var player = new Player(202, 405, 'boy', 'grid');
+
+    assert.strictEqual(new Rock(202, 60).animation.clips, Enemy.clips);
+    assert.strictEqual(new StarBonus(202, 60).animation.clips, Bonus.clips);
+    assert.strictEqual(player.animation.clips, Player.clips);
+    assert.strictEqual(new Remains(player).animation.name, 'death');
+  });
+
+  test.it('draw the wrapped part of the bug as well', function() {
+    var ctx = new NullRenderer();
+    var enemy = new WrappingEnemy(canvas.width - 50, 60);
+
+    enemy.goingRight = false;
+    enemy.render(ctx);
+    assert.strictEqual(ctx.calls.drawImage, 2);
+    assert.strictEqual(ctx.calls.scale, 2);
+
+    enemy.x = 100;
+    enemy.render(ctx);
+    assert.strictEqual(ctx.calls.drawImage, 3);
+  });
+
+  test.it('start the hop clip over on every hop', function() {
+    var player = new Player(202, 405, 'boy', 'grid');
+    var squashed = 0;
+
+    player.handleInput('up', true);
+    player.handleInput('up', false);
+    player.handleInput('up', true);
+
+    // squashed before every jump - and landing by the end of the hop
+    for (var t = 0; t < 1; t += DT) {
+      animate(player, DT);
+      if (player.isHopping()) {
+        assert.strictEqual(player.animation.name, 'hop');
+        squashed += (player.animation.current().scaleY < 1) ? 1 : 0;
+      }
+    }
+    assert.strictEqual(squashed, 2);
+    assert.strictEqual(player.animation.name, 'idle');
+  });
+
+  test.it('let the hero walk while moving freely', function() {
+    var player = new Player(202, 405, 'boy', 'free');
+
+    player.handleInput('left', true);
+    animate(player, 0.1);
+    assert.strictEqual(player.animation.name, 'walk');
+    player.handleInput('left', false);
+    animate(player, 0.1);
+    assert.strictEqual(player.animation.name, 'idle');
+  });
+
+  test.it('leave the remains of the hero until they die', function() {
+    var player = new Player(202, 405, 'cat-girl', 'grid');
+    var remains = new Remains(player);
+
+    assert.strictEqual(remains.x, 202);
+    assert.strictEqual(remains.sprite, player.sprite);
+    animate(remains, 0.3);
+    assert.ok(remains.isAlive());
+    assert.ok(remains.animation.current().alpha < 1);
+    animate(remains, 0.3);
+    assert.ok(!remains.isAlive());
+  });
+});
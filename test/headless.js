@@ -0,0 +1,167 @@
+/* Headless.js
+ * This file runs the game in Node - without a browser, a DOM or a canvas.
+ * Images are 'loaded' by reading their dimensions straight from the PNG
+ * files and everything is drawn by a renderer which draws nothing (it only
+ * counts the calls). Sounds play nothing either (they count the plays).
+ * Files which are not there fail to load (just like in a browser) - the
+ * images are replaced by blank ones of the size of a tile.
+ *
+ * Once loaded, the game is driven through the engine (start, step, advance,
+ * keydown/keyup) - every load creates another game, independent of the rest.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+import * as Resources from '../js/resources.js';
+import {createEngine} from '../js/engine.js';
+
+var ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Renderer with the interface of a canvas' 2d context which draws nothing
+ * @constructor
+ */
+var NullRenderer = function() {
+  this.font = '10px sans-serif';
+  this.fillStyle = '#000';
+  this.strokeStyle = '#000';
+  this.globalAlpha = 1;
+  this.lineWidth = 1;
+  this.textAlign = 'start';
+
+  // how many times every drawing method was called
+  this.calls = {};
+};
+
+['save', 'restore', 'scale', 'clearRect', 'fillRect', 'strokeRect',
+ 'drawImage', 'fillText', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'arc',
+ 'stroke', 'fill'].forEach(function(name) {
+  NullRenderer.prototype[name] = function() {
+    this.calls[name] = (this.calls[name] || 0) + 1;
+  };
+});
+
+/**
+ * Text is measured as if every character was half the font size wide
+ * @param {string} text - text to measure
+ * @return {{width: number}}
+ */
+NullRenderer.prototype.measureText = function(text) {
+  return {width: text.length * parseInt(this.font, 10) / 2};
+};
+
+/**
+ * Load the image - that is read its dimensions from the PNG header (it
+ * throws if the file is not there - the image fails then)
+ * @param {string} url - path of the image (relative to the game root)
+ * @param {function(Object)} callback - called with the image
+ */
+function loadImage(url, callback) {
+  var header = fs.readFileSync(path.join(ROOT, url)).slice(16, 24);
+  callback({
+    src: url,
+    width: header.readUInt32BE(0),
+    height: header.readUInt32BE(4)
+  });
+}
+
+/**
+ * Make up an image in place of the one which could not be loaded
+ * @param {string} url - path of the image
+ * @return {Object} the image - as big as a tile (with its margins)
+ */
+function fallbackImage(url) {
+  return {src: url, width: 101, height: 171};
+}
+
+/**
+ * Sound with the interface of an audio element which plays nothing - it
+ * only counts how many times it was played (its copies included)
+ * @constructor
+ * @param {string} url - path of the sound
+ */
+var NullAudio = function(url) {
+  this.src = url;
+  this.volume = 1;
+  this.loop = false;
+  this.currentTime = 0;
+  this.paused = true;
+  this.plays = 0;
+
+  // @private - the sound copied (the plays are counted there)
+  this.original_ = this;
+};
+
+NullAudio.prototype.play = function() {
+  this.paused = false;
+  this.original_.plays += 1;
+};
+
+NullAudio.prototype.pause = function() {
+  this.paused = true;
+};
+
+NullAudio.prototype.cloneNode = function() {
+  var copy = new NullAudio(this.src);
+  copy.original_ = this.original_;
+  return copy;
+};
+
+/**
+ * Load the sound - that is make sure the file is there
+ * @param {string} url - path of the sound (relative to the game root)
+ * @param {function(NullAudio)} callback - called with the sound
+ */
+function loadSound(url, callback) {
+  fs.accessSync(path.join(ROOT, url));
+  callback(new NullAudio(url));
+}
+
+/**
+ * Storage keeping the items in memory (like localStorage does) - where
+ * a game could keep its settings (see load)
+ * @param {Object.<string, string>} items - items stored already
+ * @return {{getItem: function(string): string,
+ *           setItem: function(string, string)}}
+ */
+function memoryStorage(items) {
+  items = items || {};
+  return {
+    getItem: function(key) {
+      return items.hasOwnProperty(key) ? items[key] : null;
+    },
+    setItem: function(key, value) {
+      items[key] = String(value);
+    }
+  };
+}
+
+/**
+ * Create a game - it ends up on the title screen
+ * @param {number} seed - the seed every run should start with
+ *     (a random one if omitted)
+ * @param {NullRenderer} ctx - the renderer to use (a new one if omitted)
+ * @param {string} movement - how the hero moves ('grid' if omitted)
+ * @param {Object} storage - where the settings (key bindings and volumes)
+ *     are kept (anything with getItem and setItem - nowhere if omitted)
+ * @return {Object} the game (see createEngine)
+ */
+function load(seed, ctx, movement, storage) {
+  var game = createEngine({
+    canvas: {width: 0, height: 0},
+    ctx: ctx || new NullRenderer(),
+    seed: seed,
+    movement: movement,
+    storage: storage
+  });
+
+  game.preload(game.boot);
+  return game;
+}
+
+Resources.setLoader(loadImage);
+Resources.setLoader(loadSound, 'sound');
+Resources.setFallback(fallbackImage);
+
+export {load, loadImage, loadSound, memoryStorage, NullRenderer};
@@ -0,0 +1,141 @@
+/* Input.test.js
+ * Tests of the input devices defined in input.js - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {Input} from '../js/input.js';
+import {Bindings} from '../js/bindings.js';
+
+/**
+ * Input recording the actions it reports
+ * @return {{input: Input, actions: Array.<string>}}
+ */
+function record() {
+  var actions = [];
+  var input = new Input(new Bindings(), function(action, pressed) {
+    actions.push(action + (pressed ? ' down' : ' up'));
+  });
+  return {input: input, actions: actions};
+}
+
+/**
+ * Standard gamepad with its stick pushed and the buttons pressed
+ * @param {number} x - left stick x-axis
+ * @param {number} y - left stick y-axis
+ * @param {Array.<number>} pressed - indexes of the buttons pressed
+ * @return {Object} the gamepad
+ */
+function gamepad(x, y, pressed) {
+  var buttons = [];
+  for (var i = 0; i < 17; i++) {
+    buttons.push({pressed: (pressed || []).indexOf(i) !== -1});
+  }
+  return {connected: true, axes: [x, y, 0, 0], buttons: buttons};
+}
+
+test.describe('Input', function() {
+  test.it('maps the keys to the actions', function() {
+    var r = record();
+    r.input.keydown('KeyW');
+    r.input.keyup('KeyW');
+    assert.strictEqual(r.input.keydown('KeyQ'), false);
+    assert.deepStrictEqual(r.actions, ['up down', 'up up']);
+  });
+
+  test.it('ignores held keys repeating', function() {
+    var r = record();
+    r.input.keydown('ArrowLeft');
+    r.input.keydown('ArrowLeft');
+    assert.deepStrictEqual(r.actions, ['left down']);
+  });
+
+  test.it('reads the d-pad and the buttons', function() {
+    var r = record();
+    r.input.pollGamepads([null, gamepad(0, 0, [12, 9])]);
+    r.input.pollGamepads([null, gamepad(0, 0, [12])]);
+    r.input.pollGamepads([null, gamepad(0, 0, [])]);
+    assert.deepStrictEqual(r.actions,
+                           ['pause down', 'up down', 'pause up', 'up up']);
+  });
+
+  test.it('ignores the stick within the deadzone', function() {
+    var r = record();
+    r.input.pollGamepads([gamepad(0.2, -0.25)]);
+    assert.deepStrictEqual(r.actions, []);
+
+    r.input.pollGamepads([gamepad(-0.9, -0.5)]);
+    assert.deepStrictEqual(r.actions, ['up down', 'left down']);
+  });
+
+  test.it('keeps the action pressed while any device holds it', function() {
+    var r = record();
+    r.input.keydown('ArrowUp');
+    r.input.pollGamepads([gamepad(0, -1)]);
+    r.input.keyup('ArrowUp');
+    assert.deepStrictEqual(r.actions, ['up down']);
+
+    r.input.pollGamepads([]);
+    assert.deepStrictEqual(r.actions, ['up down', 'up up']);
+  });
+
+  test.it('hops once per swipe', function() {
+    var r = record();
+    r.input.touchstart(1, 200, 300);
+    r.input.touchmove(1, 210, 220);
+    assert.deepStrictEqual(r.actions, []);
+
+    r.input.touchend(1);
+    assert.deepStrictEqual(r.actions, ['up down', 'up up']);
+  });
+
+  test.it('confirms on a tap', function() {
+    var r = record();
+    r.input.touchstart(1, 200, 300);
+    r.input.touchmove(1, 205, 300);
+    r.input.touchend(1);
+    assert.deepStrictEqual(r.actions, ['confirm down', 'confirm up']);
+  });
+
+  test.it('holds the directions the joystick is pushed to', function() {
+    var r = record();
+    r.input.touchMode = 'joystick';
+    r.input.touchstart(1, 200, 300);
+    r.input.touchmove(1, 240, 260);
+    assert.deepStrictEqual(r.actions, ['right down', 'up down']);
+
+    r.input.touchmove(1, 250, 300);
+    assert.deepStrictEqual(r.actions.slice(2), ['up up']);
+
+    r.input.touchend(1);
+    assert.deepStrictEqual(r.actions.slice(3), ['right up']);
+  });
+
+  test.it('does nothing once the touch is cancelled', function() {
+    var r = record();
+    r.input.touchstart(1, 200, 300);
+    r.input.touchmove(1, 200, 200);
+    r.input.touchend(1, true);
+    assert.deepStrictEqual(r.actions, []);
+  });
+
+  test.it('follows only the first touch', function() {
+    var r = record();
+    r.input.touchstart(1, 200, 300);
+    r.input.touchstart(2, 100, 100);
+    r.input.touchmove(2, 100, 200);
+    r.input.touchend(2);
+    assert.deepStrictEqual(r.actions, []);
+  });
+
+  test.it('releases everything on reset', function() {
+    var r = record();
+    r.input.keydown('ArrowRight');
+    r.input.pollGamepads([gamepad(0, 1)]);
+    r.input.reset();
+    assert.deepStrictEqual(r.actions.sort(),
+                           ['down down', 'down up', 'right down',
+                            'right up']);
+  });
+});
@@ -0,0 +1,238 @@
+/* Resources.test.js
+ * Tests of the asset loading defined in resources.js - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import * as Resources from '../js/resources.js';
+import {load, loadImage} from './headless.js';
+
+/* Assets of the tests are loaded by hand: the loader only remembers what
+ * it was asked for, the test decides when (and how) it is done.
+ */
+var requests = {};
+
+/**
+ * Loader remembering the request
+ * @param {string} url - path of the asset
+ * @param {function(Object)} callback - called with the asset
+ * @param {function(Error)} fail - called if it could not be loaded
+ * @param {function(number)} progress - called with how far it got
+ */
+function remember(url, callback, fail, progress) {
+  requests[url] = {callback: callback, fail: fail, progress: progress};
+}
+
+/**
+ * Images of the game are loaded from the files - unless they are broken
+ * (the image fails then)
+ */
+var broken = [];
+
+/**
+ * Loader of the images: the ones of the tests are remembered, the broken
+ * ones fail and the rest are loaded from the files
+ * @param {string} url - path of the image
+ * @param {function(Object)} callback - called with the image
+ * @param {function(Error)} fail - called if it could not be loaded
+ * @param {function(number)} progress - called with how far it got
+ */
+function loadTestImage(url, callback, fail, progress) {
+  if (/^test\//.test(url)) {
+    remember(url, callback, fail, progress);
+  } else if (broken.indexOf(url) !== -1) {
+    fail(new Error('broken'));
+  } else {
+    loadImage(url, callback);
+  }
+}
+
+Resources.setLoader(loadTestImage);
+Resources.setLoader(remember, 'json');
+
+test.describe('Resources', function() {
+  test.it('resolves the batch once all of it is done', async function() {
+    var batch = Resources.load(['test/a.png', 'test/b.png']);
+    assert.strictEqual(Resources.isReady(), false);
+
+    requests['test/a.png'].callback({width: 1, height: 1});
+    requests['test/b.png'].fail(new Error('missing'));
+    requests['test/b.png'].callback({width: 1, height: 1});
+
+    assert.deepStrictEqual(await batch, {
+      loaded: ['test/a.png'],
+      failed: ['test/b.png']
+    });
+    assert.strictEqual(Resources.isReady(), true);
+  });
+
+  test.it('calls the ready callbacks just once', function() {
+    var calls = 0;
+
+    Resources.load('test/once.png');
+    Resources.onReady(function() {
+      calls += 1;
+    });
+    requests['test/once.png'].callback({width: 1, height: 1});
+    requests['test/once.png'].callback({width: 1, height: 1});
+    Resources.load('test/twice.png');
+    requests['test/twice.png'].callback({width: 1, height: 1});
+
+    assert.strictEqual(calls, 1);
+  });
+
+  test.it('calls the ready callbacks right away if ready', function() {
+    var calls = 0;
+
+    Resources.onReady(function() {
+      calls += 1;
+    });
+    assert.strictEqual(calls, 1);
+  });
+
+  test.it('replaces the images which failed until retried', async function() {
+    var url = 'test/fallback.png';
+    var image = {width: 2, height: 2};
+
+    Resources.load(url);
+    requests[url].fail(new Error('missing'));
+    assert.strictEqual(Resources.get(url).width, 101);
+    assert.ok(Resources.failed().indexOf(url) !== -1);
+
+    var batch = Resources.retry(url);
+    requests[url].callback(image);
+    assert.deepStrictEqual(await batch, {loaded: [url], failed: []});
+    assert.strictEqual(Resources.get(url), image);
+    assert.strictEqual(Resources.failed().indexOf(url), -1);
+  });
+
+  test.it('counts the loaders throwing as failed', function() {
+    Resources.setLoader(function() {
+      throw new Error('no such file');
+    }, 'sound');
+
+    Resources.load('test/missing.wav');
+    assert.strictEqual(Resources.get('test/missing.wav'), null);
+    assert.ok(Resources.failed().indexOf('test/missing.wav') !== -1);
+  });
+
+  test.it('gives up on the assets the loader keeps silent about',
+          async function() {
+    Resources.setLoader(remember, 'sound');
+    Resources.setTimeLimit(20, 'sound');
+
+    var silent = Resources.load('test/silent.wav');
+    var slow = Resources.load('test/slow.wav');
+    await new Promise(function(resolve) {
+      setTimeout(resolve, 10);
+    });
+    requests['test/slow.wav'].progress(0.5);
+
+    assert.deepStrictEqual(await silent,
+                           {loaded: [], failed: ['test/silent.wav']});
+    // the progress reported keeps the slow one waiting a bit longer
+    assert.strictEqual(Resources.failed().indexOf('test/slow.wav'), -1);
+    assert.deepStrictEqual(await slow,
+                           {loaded: [], failed: ['test/slow.wav']});
+    assert.match(Resources.progress().assets.filter(function(entry) {
+      return entry.url === 'test/silent.wav';
+    })[0].error.message, /timed out/);
+
+    // the sound called back too late is ignored
+    requests['test/silent.wav'].callback({});
+    assert.strictEqual(Resources.get('test/silent.wav'), null);
+  });
+
+  test.it('loads the data', async function() {
+    var batch = Resources.load('test/sheet.json');
+    requests['test/sheet.json'].callback({frames: 4});
+
+    await batch;
+    assert.deepStrictEqual(Resources.get('test/sheet.json'), {frames: 4});
+  });
+
+  test.it('reports the progress', function() {
+    var reports = [];
+    var stop = Resources.onProgress(function(report) {
+      reports.push(report);
+    });
+
+    Resources.load('test/progress.png');
+    requests['test/progress.png'].progress(0.5);
+    var asset = Resources.progress().assets.filter(function(entry) {
+      return entry.url === 'test/progress.png';
+    })[0];
+    assert.strictEqual(asset.state, 'loading');
+    assert.strictEqual(asset.progress, 0.5);
+    assert.ok(Resources.progress().ratio < 1);
+
+    requests['test/progress.png'].callback({width: 1, height: 1});
+    var last = reports[reports.length - 1];
+    assert.strictEqual(last.ratio, 1);
+    assert.strictEqual(last.loaded + last.failed, last.total);
+
+    // nothing is reported once stopped
+    var count = reports.length;
+    stop();
+    Resources.load('test/unreported.png');
+    requests['test/unreported.png'].callback({width: 1, height: 1});
+    assert.strictEqual(reports.length, count);
+  });
+
+  test.it('lets the players go on without the assets missing', function() {
+    broken = ['images/Star.png', 'images/Key.png'];
+    // none of the sounds could be loaded either (they are left out)
+    Resources.setLoader(function(url, callback, fail) {
+      fail(new Error('not supported'));
+    }, 'sound');
+
+    var game = load();
+    assert.strictEqual(game.status().state, 'loading');
+
+    // a key which is not retry does nothing
+    game.keydown('KeyQ');
+    assert.strictEqual(game.status().state, 'loading');
+
+    game.keydown('Enter');
+    assert.strictEqual(game.status().state, 'title');
+    assert.strictEqual(Resources.get('images/Key.png').width, 101);
+  });
+
+  test.it('lets the players retry the assets of the game', function() {
+    broken = ['images/Key.png'];
+
+    // the assets which failed for the last game fail for this one as well
+    var game = load();
+    assert.strictEqual(game.status().state, 'loading');
+
+    game.keydown('KeyR');
+    assert.strictEqual(game.status().state, 'loading');
+    assert.strictEqual(Resources.failed().indexOf('images/Star.png'), -1);
+
+    // the sounds missing do not keep the game waiting
+    broken = [];
+    game.keydown('KeyR');
+    assert.strictEqual(game.status().state, 'title');
+    assert.ok(Resources.failed().indexOf('audio/goal.wav') !== -1);
+    assert.deepStrictEqual(Resources.failed().filter(function(url) {
+      return /^images\//.test(url);
+    }), []);
+  });
+
+  test.it('ignores the developer commands while loading', function() {
+    // the game waits for every asset requested - even this one
+    Resources.load('test/pending.png');
+    var game = load();
+
+    game.keydown('Backquote');
+    ['Digit1', 'Digit2', 'Digit3', 'KeyB', 'KeyL'].forEach(function(code) {
+      game.keydown(code);
+    });
+    game.keydown('Backquote');
+    assert.strictEqual(game.status().state, 'loading');
+
+    requests['test/pending.png'].callback({width: 1, height: 1});
+    assert.strictEqual(game.status().state, 'title');
+  });
+});
@@ -0,0 +1,59 @@
+/* Shapes.test.js
+ * Tests of the hitbox shapes defined in shapes.js - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import * as Shapes from '../js/shapes.js';
+
+// a diamond standing on its tip - its corners are far from the box around it
+var diamond = Shapes.polygon([[50, 0], [100, 50], [50, 100], [0, 50]]);
+
+test.describe('Shapes.intersect', function() {
+  test.it('tells the circles apart', function() {
+    assert.ok(Shapes.intersect(Shapes.circle(0, 0, 10),
+                               Shapes.circle(15, 0, 5)));
+    assert.ok(!Shapes.intersect(Shapes.circle(0, 0, 10),
+                                Shapes.circle(15, 0, 4)));
+  });
+
+  test.it('tells the polygons apart', function() {
+    var corner = Shapes.box({left: 0, top: 0, right: 20, bottom: 20});
+    var side = Shapes.box({left: 90, top: 40, right: 110, bottom: 60});
+
+    assert.ok(!Shapes.intersect(diamond, corner));
+    assert.ok(Shapes.intersect(diamond, side));
+  });
+
+  test.it('tells a circle and a polygon apart', function() {
+    assert.ok(!Shapes.intersect(diamond, Shapes.circle(5, 5, 10)));
+    assert.ok(Shapes.intersect(Shapes.circle(5, 5, 40), diamond));
+    assert.ok(Shapes.intersect(Shapes.circle(50, 50, 1), diamond));
+  });
+});
+
+test.describe('Shapes.place', function() {
+  test.it('moves, mirrors and scales the shape', function() {
+    var triangle = Shapes.polygon([[0, 0], [10, 0], [0, 10]]);
+    var placed = Shapes.place(triangle, {
+      x: 100,
+      y: 200,
+      mirror: 10,
+      scale: 0.5,
+      cx: 5,
+      cy: 5
+    });
+
+    assert.deepStrictEqual(placed.points,
+                           [[107.5, 202.5], [102.5, 202.5], [107.5, 207.5]]);
+    assert.deepStrictEqual(triangle.points[0], [0, 0]);
+  });
+
+  test.it('scales the circles as well', function() {
+    var placed = Shapes.place(Shapes.circle(10, 10, 10),
+                              {x: 5, y: 5, scale: 2, cx: 0, cy: 0});
+
+    assert.deepStrictEqual(placed, Shapes.circle(25, 25, 20));
+  });
+});
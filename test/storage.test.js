@@ -0,0 +1,43 @@
+/* Storage.test.js
+ * Tests of the settings storage defined in storage.js - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import * as Settings from '../js/storage.js';
+import {memoryStorage} from './headless.js';
+
+test.describe('Storage', function() {
+  test.it('restores the settings saved', function() {
+    var storage = memoryStorage();
+
+    Settings.save(storage, 'test', {volume: 0.5});
+    assert.deepStrictEqual(Settings.restore(storage, 'test'), {volume: 0.5});
+    assert.strictEqual(Settings.restore(storage, 'other'), null);
+  });
+
+  test.it('gets by without a storage working', function() {
+    var broken = {
+      getItem: function() {
+        throw new Error('disabled');
+      },
+      setItem: function() {
+        throw new Error('full');
+      }
+    };
+
+    Settings.save(null, 'test', {volume: 0.5});
+    Settings.save(broken, 'test', {volume: 0.5});
+    assert.strictEqual(Settings.restore(null, 'test'), null);
+    assert.strictEqual(Settings.restore(broken, 'test'), null);
+  });
+
+  test.it('ignores the settings broken', function() {
+    var storage = memoryStorage({a: '{"volume":', b: '0.5', c: 'null'});
+
+    assert.strictEqual(Settings.restore(storage, 'a'), null);
+    assert.strictEqual(Settings.restore(storage, 'b'), null);
+    assert.strictEqual(Settings.restore(storage, 'c'), null);
+  });
+});
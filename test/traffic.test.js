@@ -0,0 +1,152 @@
+/* Traffic.test.js
+ * Tests of the lanes of traffic defined in traffic.js - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {load} from './headless.js';
+import {WrappingEnemy, WildEnemy} from '../js/app.js';
+import {Random} from '../js/random.js';
+import {World} from '../js/world.js';
+import {Lane} from '../js/traffic.js';
+
+// loading a game loads all the images as well
+load();
+
+// the game loop is not running - the world is stepped manually
+var DT = 1 / 60;
+
+/**
+ * World with a single lane in it
+ * @param {Object} description - lane description
+ * @return {{world: World, lane: Lane}}
+ */
+function lane(description) {
+  var world = new World(505, 606, new Random(7));
+  var types = {wrapping: WrappingEnemy, wild: WildEnemy};
+
+  return {
+    world: world,
+    lane: world.spawn(new Lane(description, function(spawn) {
+      var enemy = new types[spawn.type](0, spawn.row * 83 - 23);
+      enemy.speed = spawn.speed;
+      enemy.goingRight = (spawn.direction === 'right');
+      return world.spawn(enemy, {tags: ['enemy']});
+    }))
+  };
+}
+
+/**
+ * Update the world for the given time - in fixed steps
+ * @param {World} world - world to update
+ * @param {number} seconds - how much time should pass
+ */
+function run(world, seconds) {
+  for (var t = 0; t < seconds; t += DT) {
+    world.update(DT);
+  }
+}
+
+/**
+ * @param {Array.<Enemy>} enemies - enemies of the lane
+ * @return {Array.<Enemy>} the enemies sorted from the left to the right
+ */
+function byX(enemies) {
+  return enemies.slice().sort(function(a, b) {
+    return a.x - b.x;
+  });
+}
+
+test.describe('Lane', function() {
+  test.it('starts full of traffic', function() {
+    var l = lane({row: 1});
+
+    run(l.world, DT);
+    assert.ok(l.lane.enemies().some(function(enemy) {
+      return enemy.x > 0 && enemy.x < l.world.width;
+    }));
+    l.lane.enemies().forEach(function(enemy) {
+      assert.ok(enemy.passing);
+      assert.strictEqual(enemy.y, 60);
+    });
+  });
+
+  test.it('keeps emitting enemies which leave for good', function() {
+    var l = lane({row: 1, direction: 'left'});
+
+    run(l.world, DT);
+    var first = l.lane.enemies().slice();
+    run(l.world, 10);
+
+    first.forEach(function(enemy) {
+      assert.ok(!l.world.contains(enemy));
+    });
+    assert.ok(l.lane.enemies().length >= 1);
+    l.lane.enemies().forEach(function(enemy) {
+      assert.strictEqual(enemy.goingRight, false);
+    });
+  });
+
+  test.it('keeps the gap between the enemies', function() {
+    var l = lane({row: 1, speed: [100, 400], spacing: [0, 0], gap: 150,
+                  mix: {wrapping: 1, wild: 1}});
+
+    for (var i = 0; i < 600; i++) {
+      run(l.world, DT);
+
+      var enemies = byX(l.lane.enemies());
+      for (var j = 1; j < enemies.length; j++) {
+        var gap = (enemies[j].x + enemies[j].rectBounds.left) -
+                  (enemies[j - 1].x + enemies[j - 1].rectBounds.right);
+        // the enemy behind brakes before it moves on
+        assert.ok(gap >= 150 - enemies[j - 1].currentSpeed() * DT - 1e-9,
+                  'gap of ' + gap);
+      }
+    }
+  });
+
+  test.it('slows the enemies down rather than move them back', function() {
+    var l = lane({row: 1, speed: [100, 400], spacing: [0, 0], gap: 150});
+    var braked = 0;
+
+    for (var i = 0; i < 600; i++) {
+      var enemies = l.lane.enemies().slice();
+      var before = enemies.map(function(enemy) {
+        return enemy.x;
+      });
+      run(l.world, DT);
+
+      enemies.forEach(function(enemy, j) {
+        var moved = enemy.x - before[j];
+        assert.ok(moved >= 0 && moved <= enemy.speed * DT + 1e-9,
+                  'moved by ' + moved);
+        braked += (enemy.currentSpeed() < enemy.speed) ? 1 : 0;
+      });
+    }
+    assert.ok(braked > 0);
+  });
+
+  test.it('emits the enemies of the mix', function() {
+    var l = lane({row: 1, mix: {wrapping: 1, wild: 1}, spacing: [0, 0],
+                  gap: 0});
+    var wild = 0;
+
+    run(l.world, 3);
+    l.world.query('enemy').forEach(function(enemy) {
+      wild += (enemy instanceof WildEnemy) ? 1 : 0;
+    });
+    assert.ok(wild > 0);
+    assert.ok(wild < l.world.query('enemy').length);
+  });
+
+  test.it('gets harder over time', function() {
+    var l = lane({row: 1, ramp: 0.1});
+
+    assert.strictEqual(l.lane.difficulty(), 1);
+    run(l.world, 5);
+    assert.ok(Math.abs(l.lane.difficulty() - 1.5) < 0.01);
+    run(l.world, 10);
+    assert.strictEqual(l.lane.difficulty(), Lane.MAX_RAMP);
+  });
+});
@@ -0,0 +1,134 @@
+/* World.test.js
+ * Tests of the world defined in world.js - run with:
+ *   node --test test/*.test.js
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {load, NullRenderer} from './headless.js';
+import {Enemy, WrappingEnemy, Rock} from '../js/app.js';
+import {World} from '../js/world.js';
+
+// loading a game loads all the images as well
+load();
+
+/**
+ * Entity which only remembers what happened to it
+ * @constructor
+ * @param {Array.<string>} log - where to write down what happened
+ * @param {string} name - how the entity is called in the log
+ */
+var Probe = function(log, name) {
+  this.log = log;
+  this.name = name;
+  this.alive = true;
+};
+
+Probe.prototype.update = function(dt, world) {
+  this.log.push('update ' + this.name);
+};
+
+Probe.prototype.render = function(ctx) {
+  this.log.push('render ' + this.name);
+};
+
+Probe.prototype.isAlive = function() {
+  return this.alive;
+};
+
+test.describe('World', function() {
+  test.it('finds the entities by type or tag', function() {
+    var world = new World(505, 606);
+    var rock = world.spawn(new Rock(101, 60), {tags: ['obstacle']});
+    var bug = world.spawn(new WrappingEnemy(10, 60), {tags: ['enemy']});
+
+    assert.deepStrictEqual(world.query('enemy'), [bug]);
+    assert.deepStrictEqual(world.query(Rock), [rock]);
+    assert.deepStrictEqual(world.query(Enemy), [rock, bug]);
+    assert.strictEqual(world.first('player'), null);
+  });
+
+  test.it('fits the entities to its board', function() {
+    var world = new World(808, 700);
+    var bug = world.spawn(new WrappingEnemy(10, 60));
+
+    assert.strictEqual(bug.screenBounds.width, 808);
+  });
+
+  test.it('lets the entities spawned during the update in after it',
+      function() {
+        var log = [];
+        var world = new World(505, 606);
+        var parent = world.spawn(new Probe(log, 'parent'));
+
+        parent.update = function(dt, world) {
+          Probe.prototype.update.call(this, dt, world);
+          world.spawn(new Probe(log, 'child'));
+          parent.update = Probe.prototype.update;
+        };
+
+        world.update(0.1);
+        assert.deepStrictEqual(log, ['update parent']);
+        assert.strictEqual(world.query().length, 2);
+
+        world.update(0.1);
+        assert.deepStrictEqual(log.slice(1), ['update parent', 'update child']);
+      });
+
+  test.it('stops updating the entities despawned during the update',
+      function() {
+        var log = [];
+        var world = new World(505, 606);
+        var killer = world.spawn(new Probe(log, 'killer'));
+        var victim = world.spawn(new Probe(log, 'victim'));
+
+        killer.update = function(dt, world) {
+          world.despawn(victim);
+        };
+
+        world.update(0.1);
+        assert.deepStrictEqual(log, []);
+        assert.ok(!world.contains(victim));
+      });
+
+  test.it('despawns the entities which are not alive', function() {
+    var log = [];
+    var world = new World(505, 606);
+    var probe = world.spawn(new Probe(log, 'probe'));
+
+    probe.alive = false;
+    world.update(0.1);
+    world.render(new NullRenderer(), 1);
+    assert.ok(!world.contains(probe));
+    assert.deepStrictEqual(log, []);
+  });
+
+  test.it('draws the text above the sprites', function() {
+    var log = [];
+    var world = new World(505, 606);
+
+    world.spawn(new Probe(log, 'text'), {layer: 'text'});
+    world.spawn(new Probe(log, 'sprite'));
+    world.spawn(new Probe(log, 'ground'), {layer: 'ground'});
+
+    world.render(new NullRenderer(), 1);
+    assert.deepStrictEqual(log,
+                           ['render ground', 'render sprite', 'render text']);
+  });
+
+  test.it('draws the lower sprites on top', function() {
+    var world = new World(505, 606);
+    var drawn = [];
+    var lower = world.spawn(new WrappingEnemy(10, 143));
+    var upper = world.spawn(new WrappingEnemy(10, 60));
+
+    [lower, upper].forEach(function(bug) {
+      bug.render = function() {
+        drawn.push(bug);
+      };
+    });
+
+    world.render(new NullRenderer(), 1);
+    assert.deepStrictEqual(drawn, [upper, lower]);
+  });
+});